@@ -0,0 +1,233 @@
+const { Readable } = require('stream')
+const Koa = require('koa')
+const Fastify = require('fastify')
+
+const koaMiddleware = require('./koa.js')
+const fastifyPlugin = require('./fastify.js')
+const httpHandler = require('./http.js')
+const serverTiming = require('./index.js')
+const { listen, get } = require('./test-helpers.js')
+
+// Each adapter start server with route that get server timing controller
+// and return headers and body, body may be a string or a stream
+const adapters = {
+  koa: (options, route) => {
+    const app = new Koa()
+    app.use(koaMiddleware(options))
+    app.use(async ctx => {
+      const { headers = {}, body } = await route(ctx.state.serverTiming)
+      ctx.set(headers)
+      ctx.body = body
+    })
+    return listen(app.callback())
+  },
+  fastify: async (options, route) => {
+    const app = Fastify()
+    app.register(fastifyPlugin, options)
+    app.get('/', async (request, reply) => {
+      const { headers = {}, body } = await route(request.serverTiming)
+      return reply.headers(headers).send(body)
+    })
+    await app.listen({ port: 0 })
+    return app.server
+  },
+  http: (options, route) =>
+    listen(
+      httpHandler(async (request, response) => {
+        const { headers = {}, body } = await route(request.serverTiming)
+        Object.entries(headers).forEach(([name, value]) =>
+          response.setHeader(name, value)
+        )
+        if (typeof body === 'string') {
+          response.end(body)
+        } else {
+          body.pipe(response)
+        }
+      }, options)
+    )
+}
+
+describe.each(Object.keys(adapters))('%s adapter should', adapter => {
+  let server
+
+  afterEach(done => {
+    server.close(done)
+  })
+
+  it('add server timing header', async () => {
+    expect.assertions(1)
+    server = await adapters[adapter]({}, serverTiming => {
+      serverTiming.from('db', 'fetching data')
+      serverTiming.to('db')
+      serverTiming.add('cache', 'cache read', 5)
+      return { body: 'body' }
+    })
+
+    const response = await get(server)
+
+    expect(response.headers['server-timing']).toStrictEqual(
+      expect.stringMatching(
+        /^db;desc="fetching data";dur=[\d.]+, cache;desc="cache read";dur=5$/
+      )
+    )
+  })
+
+  it('not rewrite headers added by application', async () => {
+    expect.assertions(1)
+    server = await adapters[adapter]({}, serverTiming => {
+      serverTiming.add('cache', 'cache read', 5)
+      return { headers: { 'server-timing': ['app;dur=47.2'] }, body: 'body' }
+    })
+
+    const response = await get(server)
+
+    expect(response.headers['server-timing']).toBe(
+      'app;dur=47.2, cache;desc="cache read";dur=5'
+    )
+  })
+
+  it('not add header if sendHeaders is disabled', async () => {
+    expect.assertions(1)
+    server = await adapters[adapter]({ sendHeaders: false }, serverTiming => {
+      serverTiming.add('cache', 'cache read', 5)
+      return { body: 'body' }
+    })
+
+    const response = await get(server)
+
+    expect(response.headers).not.toHaveProperty('server-timing')
+  })
+
+  it('not add header if expose policy deny request', async () => {
+    expect.assertions(1)
+    server = await adapters[adapter](
+      { expose: { header: 'x-debug' } },
+      serverTiming => {
+        serverTiming.add('cache', 'cache read', 5)
+        return { body: 'body' }
+      }
+    )
+
+    const response = await get(server)
+
+    expect(response.headers).not.toHaveProperty('server-timing')
+  })
+
+  it('add header if client IP is allowed', async () => {
+    expect.assertions(1)
+    server = await adapters[adapter](
+      { expose: { ips: ['127.0.0.1', '::1'] } },
+      serverTiming => {
+        serverTiming.add('cache', 'cache read', 5)
+        return { body: 'body' }
+      }
+    )
+
+    const response = await get(server)
+
+    expect(response.headers['server-timing']).toBe('cache;desc="cache read";dur=5')
+  })
+
+  it('bind controller to async context of the request', async () => {
+    expect.assertions(1)
+    server = await adapters[adapter]({}, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1))
+      serverTiming.add('cache', 'cache read', 5)
+      return { body: 'body' }
+    })
+
+    const response = await get(server)
+
+    expect(response.headers['server-timing']).toBe('cache;desc="cache read";dur=5')
+  })
+
+  it('send finalized metrics to reporters when response is finished', async () => {
+    expect.assertions(3)
+    let reported
+    const finished = new Promise(resolve => {
+      reported = (...args) => resolve(args)
+    })
+    server = await adapters[adapter](
+      { reporters: [serverTiming.callbackReporter(reported)] },
+      timing => {
+        timing.from('db', 'fetching data')
+        timing.to('db')
+        timing.add('cache', 'cache read', 5)
+        return { body: 'body' }
+      }
+    )
+
+    await get(server)
+    const [metrics, request] = await finished
+
+    expect(metrics).toStrictEqual([
+      {
+        name: 'db',
+        description: 'fetching data',
+        duration: expect.any(Number),
+        start: expect.any(Number),
+        end: expect.any(Number)
+      },
+      { name: 'cache', description: 'cache read', duration: 5 }
+    ])
+    expect(metrics[0].end - metrics[0].start).toBeCloseTo(metrics[0].duration, 2)
+    expect(request).toStrictEqual({
+      method: 'GET',
+      url: '/',
+      route: adapter === 'fastify' ? '/' : undefined,
+      statusCode: 200,
+      ip: expect.stringMatching(/127\.0\.0\.1|::1/),
+      timestamp: expect.any(Number),
+      duration: expect.any(Number)
+    })
+  })
+
+  it('report metrics added after headers were sent', async () => {
+    expect.assertions(2)
+    let reported
+    const finished = new Promise(resolve => {
+      reported = (...args) => resolve(args)
+    })
+    server = await adapters[adapter](
+      { reporters: [serverTiming.callbackReporter(reported)] },
+      timing => {
+        timing.add('cache', 'cache read', 5)
+        const body = new Readable({ read () {} })
+        body.push('first chunk')
+        setTimeout(() => {
+          timing.add('late', 'after headers', 7)
+          body.push(null)
+        }, 5)
+        return { body }
+      }
+    )
+
+    const response = await get(server)
+    const [metrics] = await finished
+
+    expect(response.headers['server-timing']).toBe('cache;desc="cache read";dur=5')
+    expect(metrics.map(({ name }) => name)).toStrictEqual(['cache', 'late'])
+  })
+
+  it('send metrics as trailer for streamed response', async () => {
+    expect.assertions(2)
+    server = await adapters[adapter]({ trailers: true }, serverTiming => {
+      serverTiming.from('stream')
+      const body = new Readable({ read () {} })
+      body.push('first chunk')
+      setTimeout(() => {
+        serverTiming.to('stream')
+        body.push('last chunk')
+        body.push(null)
+      }, 5)
+      return { body }
+    })
+
+    const response = await get(server, { headers: { te: 'trailers' } })
+
+    expect(response.headers.trailer).toBe('server-timing')
+    expect(response.trailers['server-timing']).toStrictEqual(
+      expect.stringMatching(/^stream;dur=[\d.]+$/)
+    )
+  })
+})
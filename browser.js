@@ -0,0 +1,127 @@
+/* eslint-env browser */
+
+const DEFAULT_URL = '/server-timing'
+const MAX_ENTRIES = 50
+
+/**
+ * Convert performance entry to the format of the beacon
+ * @private
+ * @param {PerformanceResourceTiming} entry — navigation or resource performance entry
+ * @return {object} — entry with type, URL, absolute start time, duration and server-timing entries
+ */
+function serializeEntry (entry) {
+  return {
+    type: entry.entryType,
+    url: entry.name,
+    timestamp: performance.timeOrigin + entry.startTime,
+    duration: entry.duration,
+    serverTiming: entry.serverTiming.map(({ name, description, duration }) => ({
+      name,
+      description,
+      duration
+    }))
+  }
+}
+
+/**
+ * Send entries to the server, beacon is preferred because it survive unload of the page
+ * @private
+ * @param {string} url — URL of the ingestion endpoint
+ * @param {object[]} entries — serialized performance entries
+ */
+function sendEntries (url, entries) {
+  const body = JSON.stringify({ page: location.href, entries })
+  if (typeof navigator.sendBeacon === 'function' && navigator.sendBeacon(url, body)) {
+    return
+  }
+  fetch(url, {
+    method: 'POST',
+    body,
+    keepalive: true,
+    headers: { 'content-type': 'text/plain' }
+  }).catch(() => {})
+}
+
+/**
+ * Collect server-timing of the page and its resources from performance entries
+ * and send them to ingestion endpoint, created with rumHandler, when page is hidden.
+ * Only entries with server-timing are sent, cross-origin resources have it only with
+ * Timing-Allow-Origin header, see timingAllowOrigin option of the middleware
+ * @public
+ * @param {object} [options] — collector options
+ * @param {string} [options.url='/server-timing'] — URL of the ingestion endpoint
+ * @param {boolean} [options.resources=true] — collect resources as well as navigation
+ * @param {function} [options.filter] — function that receive performance entry and return boolean
+ * @param {number} [options.sampleRate=1] — part of page views from 0 to 1 that are collected
+ * @param {number} [options.maxEntries=50] — maximum number of entries in one beacon, the same as the limit of the endpoint
+ * @return {function} — function that stop collecting and send collected entries
+ * @example <caption>Send metrics of 10% of page views</caption>
+ * const { collectServerTiming } = require('server-timing-header/browser');
+ * collectServerTiming({ url: '/server-timing', sampleRate: 0.1 });
+ */
+function collectServerTiming ({
+  url = DEFAULT_URL,
+  resources = true,
+  filter = () => true,
+  sampleRate = 1,
+  maxEntries = MAX_ENTRIES
+} = {}) {
+  if (
+    typeof performance === 'undefined' ||
+    typeof performance.getEntriesByType !== 'function' ||
+    Math.random() >= sampleRate
+  ) {
+    return () => {}
+  }
+  // Beacons should not be collected themselves
+  const endpoint = new URL(url, location.href).href
+  let queue = []
+
+  const collect = entry => {
+    if (
+      entry.name === endpoint ||
+      !Array.isArray(entry.serverTiming) ||
+      entry.serverTiming.length === 0 ||
+      !filter(entry)
+    ) {
+      return
+    }
+    queue.push(serializeEntry(entry))
+  }
+
+  const flush = () => {
+    const entries = queue
+    queue = []
+    for (let index = 0; index < entries.length; index += maxEntries) {
+      sendEntries(endpoint, entries.slice(index, index + maxEntries))
+    }
+  }
+
+  const onVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') flush()
+  }
+
+  performance.getEntriesByType('navigation').forEach(collect)
+  let observer
+  if (resources) {
+    performance.getEntriesByType('resource').forEach(collect)
+    // Resources loaded later are collected as they finish
+    if (typeof PerformanceObserver === 'function') {
+      observer = new PerformanceObserver(list => list.getEntries().forEach(collect))
+      observer.observe({ type: 'resource' })
+    }
+  }
+  document.addEventListener('visibilitychange', onVisibilityChange)
+  window.addEventListener('pagehide', flush)
+
+  return function stop () {
+    if (observer) observer.disconnect()
+    document.removeEventListener('visibilitychange', onVisibilityChange)
+    window.removeEventListener('pagehide', flush)
+    flush()
+  }
+}
+
+module.exports = {
+  collectServerTiming
+}
@@ -0,0 +1,163 @@
+const { collectServerTiming } = require('./browser.js')
+
+// Minimal browser environment: performance entries, beacon and page lifecycle events
+const browser = ({ navigation = [], resources = [] } = {}) => {
+  const listeners = { document: {}, window: {} }
+  const target = name => ({
+    addEventListener: (type, listener) => {
+      listeners[name][type] = listener
+    },
+    removeEventListener: type => {
+      delete listeners[name][type]
+    }
+  })
+  const observers = []
+  const environment = {
+    location: { href: 'https://www.example.com/users' },
+    navigator: { sendBeacon: jest.fn(() => true) },
+    fetch: jest.fn(() => Promise.resolve()),
+    document: { ...target('document'), visibilityState: 'visible' },
+    window: target('window'),
+    performance: {
+      timeOrigin: 1700000000000,
+      getEntriesByType: type => (type === 'navigation' ? navigation : resources)
+    },
+    PerformanceObserver: class {
+      constructor (callback) {
+        this.callback = callback
+        this.disconnect = jest.fn()
+        observers.push(this)
+      }
+
+      observe () {}
+    }
+  }
+  Object.assign(global, environment)
+  return {
+    ...environment,
+    listeners,
+    observe: entries => observers.forEach(observer => observer.callback({ getEntries: () => entries })),
+    observers,
+    beacons: () =>
+      environment.navigator.sendBeacon.mock.calls.map(([url, body]) => ({ url, ...JSON.parse(body) }))
+  }
+}
+
+const entry = (entryType, name, serverTiming = [{ name: 'db', description: 'query', duration: 12.5 }]) => ({
+  entryType,
+  name,
+  startTime: entryType === 'navigation' ? 0 : 100,
+  duration: 50,
+  serverTiming
+})
+
+describe('browser collector should', () => {
+  const globals = ['location', 'navigator', 'fetch', 'document', 'window', 'performance', 'PerformanceObserver']
+  const original = Object.fromEntries(globals.map(name => [name, global[name]]))
+
+  afterEach(() => {
+    globals.forEach(name => {
+      if (typeof original[name] === 'undefined') {
+        delete global[name]
+      } else {
+        global[name] = original[name]
+      }
+    })
+  })
+
+  it('send navigation and resources with server-timing when page is hidden', () => {
+    expect.assertions(2)
+    const page = browser({
+      navigation: [entry('navigation', 'https://www.example.com/users')],
+      resources: [
+        entry('resource', 'https://api.example.com/users'),
+        entry('resource', 'https://cdn.example.com/app.js', [])
+      ]
+    })
+
+    collectServerTiming()
+    page.observe([entry('resource', 'https://api.example.com/avatars')])
+    page.document.visibilityState = 'hidden'
+    page.listeners.document.visibilitychange()
+
+    expect(page.beacons()).toEqual([
+      {
+        url: 'https://www.example.com/server-timing',
+        page: 'https://www.example.com/users',
+        entries: [
+          {
+            type: 'navigation',
+            url: 'https://www.example.com/users',
+            timestamp: 1700000000000,
+            duration: 50,
+            serverTiming: [{ name: 'db', description: 'query', duration: 12.5 }]
+          },
+          {
+            type: 'resource',
+            url: 'https://api.example.com/users',
+            timestamp: 1700000000100,
+            duration: 50,
+            serverTiming: [{ name: 'db', description: 'query', duration: 12.5 }]
+          },
+          {
+            type: 'resource',
+            url: 'https://api.example.com/avatars',
+            timestamp: 1700000000100,
+            duration: 50,
+            serverTiming: [{ name: 'db', description: 'query', duration: 12.5 }]
+          }
+        ]
+      }
+    ])
+
+    page.listeners.window.pagehide()
+
+    expect(page.navigator.sendBeacon).toHaveBeenCalledTimes(1)
+  })
+
+  it('skip beacons, filtered entries and resources if they are disabled', () => {
+    expect.assertions(2)
+    const page = browser({
+      navigation: [entry('navigation', 'https://www.example.com/users')],
+      resources: [entry('resource', 'https://api.example.com/users')]
+    })
+
+    const stop = collectServerTiming({ url: '/rum', resources: false })
+    stop()
+    const stopFiltered = collectServerTiming({ url: '/rum', filter: ({ entryType }) => entryType === 'resource' })
+    page.observe([entry('resource', 'https://www.example.com/rum')])
+    stopFiltered()
+
+    expect(page.beacons().map(({ entries }) => entries.map(({ url }) => url))).toEqual([
+      ['https://www.example.com/users'],
+      ['https://api.example.com/users']
+    ])
+    expect(page.observers[0].disconnect).toHaveBeenCalledTimes(1)
+  })
+
+  it('split entries into beacons and fall back to fetch', () => {
+    expect.assertions(2)
+    const page = browser({
+      resources: [
+        entry('resource', 'https://api.example.com/1'),
+        entry('resource', 'https://api.example.com/2'),
+        entry('resource', 'https://api.example.com/3')
+      ]
+    })
+    page.navigator.sendBeacon.mockReturnValue(false)
+
+    collectServerTiming({ maxEntries: 2 })()
+
+    expect(page.fetch).toHaveBeenCalledTimes(2)
+    expect(JSON.parse(page.fetch.mock.calls[1][1].body).entries).toHaveLength(1)
+  })
+
+  it('do nothing for page views out of sample', () => {
+    expect.assertions(1)
+    const page = browser({ navigation: [entry('navigation', 'https://www.example.com/users')] })
+
+    collectServerTiming({ sampleRate: 0 })()
+
+    expect(page.navigator.sendBeacon).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,107 @@
+const { AsyncLocalStorage } = require('async_hooks')
+/**
+ * Keep server timing controller of the request
+ * for all sync and async code started while request is handled
+ * @private
+ * @type {AsyncLocalStorage}
+ */
+const storage = new AsyncLocalStorage()
+
+/**
+ * Run callback with server timing controller bound to async context
+ * @private
+ * @param {ServerTiming} serverTiming — server timing controller of the request
+ * @param {function} callback — callback that handle the request
+ * @return {mixed} — result of the callback
+ */
+function run (serverTiming, callback) {
+  return storage.run(serverTiming, callback)
+}
+
+/**
+ * Get server timing controller of the current request
+ * @public
+ * @return {ServerTiming|undefined} — controller or undefined outside of the request
+ * @example <caption>Get controller without request object</caption>
+ * const serverTiming = require('server-timing-header');
+ * async function getUser (id) {
+ *   serverTiming.current()?.from('db');
+ *   const user = await db.getUser(id);
+ *   serverTiming.current()?.to('db');
+ *   return user;
+ * }
+ */
+function current () {
+  return storage.getStore()
+}
+
+/**
+ * Create function that call method of the current request controller
+ * and do nothing outside of the request
+ * @private
+ * @param {string} method — name of controller method
+ * @return {function} — function with the same signature as controller method
+ */
+function forward (method) {
+  return (...args) => {
+    const serverTiming = current()
+    if (serverTiming) serverTiming[method](...args)
+  }
+}
+
+/**
+ * Measure time of function or promise with controller of the current request,
+ * outside of the request function is just called
+ * @public
+ * @param {string} name — metric name
+ * @param {string} [description] — description of the metric
+ * @param {function|Promise} fnOrPromise — function or promise to measure
+ * @return {mixed} — result of the function or promise
+ */
+function measure (name, description, fnOrPromise) {
+  const serverTiming = current()
+  if (serverTiming) return serverTiming.measure(name, description, fnOrPromise)
+  const target =
+    typeof fnOrPromise === 'undefined' && typeof description !== 'string'
+      ? description
+      : fnOrPromise
+  return typeof target === 'function' ? target() : target
+}
+
+/**
+ * Create instrumented version of the function,
+ * each call is measured with controller of the request it was called in,
+ * so it may be created once on the module level
+ * @public
+ * @param {string} name — metric name
+ * @param {string} [description] — description of the metric
+ * @param {function} fn — function to instrument
+ * @throw {Error} — wrapped function throw an error if name is not valid and error policy of the request is throw
+ * @return {function} — function with the same signature and result
+ * @example <caption>Instrument repository method once</caption>
+ * const serverTiming = require('server-timing-header');
+ * UserRepository.prototype.get = serverTiming.wrap('db', UserRepository.prototype.get);
+ */
+function wrap (name, description, fn) {
+  if (typeof fn === 'undefined') {
+    fn = description
+    description = undefined
+  }
+  return function (...args) {
+    return measure(name, description, () => fn.apply(this, args))
+  }
+}
+
+module.exports = {
+  run,
+  current,
+  from: forward('from'),
+  to: forward('to'),
+  add: forward('add'),
+  description: forward('description'),
+  duration: forward('duration'),
+  param: forward('param'),
+  merge: forward('merge'),
+  measure,
+  wrap
+}
@@ -0,0 +1,130 @@
+const diagnosticsChannel = require('diagnostics_channel')
+const context = require('./context')
+const { ServerTiming } = require('./server-timing')
+
+const DB_CHANNEL = 'server-timing:db'
+const CACHE_CHANNEL = 'server-timing:cache'
+// Drivers that publish tracing channels, pg and mongodb don't publish them
+const DRIVER_CHANNELS = {
+  'mysql2:query': 'db',
+  'mysql2:execute': 'db',
+  'ioredis:command': 'cache',
+  'node-redis:command': 'cache'
+}
+const DEFAULT_CHANNELS = {
+  [DB_CHANNEL]: 'db',
+  [CACHE_CHANNEL]: 'cache',
+  ...DRIVER_CHANNELS
+}
+const UNITS = {
+  db: ['query', 'queries'],
+  cache: ['command', 'commands']
+}
+const DEFAULT_UNIT = ['operation', 'operations']
+
+/**
+ * Describe number of operations, like "12 queries"
+ * @private
+ * @param {string} name — metric name
+ * @param {number} count — number of operations
+ * @return {string} — description of the metric
+ */
+function describeCount (name, count) {
+  const [singular, plural] = UNITS[name] || DEFAULT_UNIT
+  return `${count} ${count === 1 ? singular : plural}`
+}
+
+/**
+ * Record database and cache operations published to tracing channels
+ * as metrics of the current request. Operations of the same kind are rolled up
+ * into single metric with total time and number of operations, like `db;desc="12 queries";dur=35.2`.
+ * Operation is finished with end event if it is synchronous or with asyncEnd event otherwise,
+ * as they are published by tracingChannel.traceSync, tracePromise and traceCallback.
+ * Queries of mysql2 and commands of ioredis and redis are recorded by default,
+ * pg and mongodb don't publish tracing channels, so their operations should be published
+ * to server-timing:db channel by your code, like operations of other drivers.
+ * Other tracing channels may be mapped to metrics with channels option.
+ * Invalid metric names are handled by error policy of the request, with throw policy
+ * the error is emitted as process warning and operation is not recorded.
+ * Tracing channels require Node.js 18.19 or later, the rest of the package does not
+ * @public
+ * @see https://nodejs.org/api/diagnostics_channel.html#class-tracingchannel
+ * @param {object} [options] — instrumentation options
+ * @param {object} [options.channels] — map of tracing channel names to metric names, it is added to default channels, false disable default channel
+ * @return {function} — function that stop recording
+ * @example <caption>Publish queries of your repository</caption>
+ * const diagnosticsChannel = require('diagnostics_channel');
+ * const serverTiming = require('server-timing-header');
+ * const queries = diagnosticsChannel.tracingChannel('server-timing:db');
+ * serverTiming.instrumentDatabase();
+ * function getUser (id) {
+ *   return queries.tracePromise(() => pool.query('SELECT * FROM users WHERE id = $1', [id]), { id });
+ * }
+ * // Server-Timing: db;desc="2 queries";dur=12.5
+ */
+function instrumentDatabase ({ channels = {} } = {}) {
+  const names = Object.fromEntries(
+    Object.entries({ ...DEFAULT_CHANNELS, ...channels }).filter(([, name]) => name !== false)
+  )
+  // Events of the same operation are published with the same context object
+  const operations = new WeakMap()
+  const rollups = new WeakMap()
+
+  const finish = message => {
+    const operation = operations.get(message)
+    if (!operation) return
+    operations.delete(message)
+    const { serverTiming, name, start } = operation
+    const duration = ServerTiming.calculateDuration(start, serverTiming.now())
+    const rollup = rollups.get(serverTiming) || {}
+    // Metrics are cleared when headers are sent, later operations start new rollup
+    const { count = 0, total = 0 } = serverTiming.metrics[name] ? rollup[name] || {} : {}
+    rollup[name] = { count: count + 1, total: total + duration }
+    rollups.set(serverTiming, rollup)
+    serverTiming.set(name, 'description', describeCount(name, count + 1))
+    serverTiming.set(name, 'duration', total + duration)
+  }
+
+  const subscriptions = Object.entries(names).map(([channel, name]) => {
+    const handlers = {
+      start (message) {
+        const serverTiming = context.current()
+        if (!serverTiming || typeof message !== 'object' || !message) return
+        // Invalid name is handled by error policy of the request, but it should not break the operation
+        let validName
+        try {
+          validName = serverTiming.validName(name)
+        } catch (error) {
+          process.emitWarning(error)
+        }
+        if (typeof validName === 'undefined') return
+        operations.set(message, { serverTiming, name: validName, start: serverTiming.now() })
+      },
+      end (message) {
+        // Result or error are known at the end only for synchronous operations
+        if (!operations.has(message)) return
+        if ('result' in message || 'error' in message) finish(message)
+      },
+      asyncStart () {},
+      asyncEnd (message) {
+        finish(message)
+      },
+      error () {}
+    }
+    const tracingChannel = diagnosticsChannel.tracingChannel(channel)
+    tracingChannel.subscribe(handlers)
+    return [tracingChannel, handlers]
+  })
+
+  return function stop () {
+    subscriptions.forEach(([tracingChannel, handlers]) => {
+      tracingChannel.unsubscribe(handlers)
+    })
+  }
+}
+
+module.exports = {
+  instrumentDatabase,
+  DB_CHANNEL,
+  CACHE_CHANNEL
+}
@@ -0,0 +1,173 @@
+const diagnosticsChannel = require('diagnostics_channel')
+const httpHandler = require('./http.js')
+const { instrumentDatabase } = require('./database.js')
+const { listen, get } = require('./test-helpers.js')
+
+// Tracing channels require Node.js 18.19, middleware itself does not
+const hasTracing = typeof diagnosticsChannel.tracingChannel === 'function'
+const tracingChannel = name => hasTracing && diagnosticsChannel.tracingChannel(name)
+const withTracing = hasTracing ? describe : describe.skip
+const queries = tracingChannel('server-timing:db')
+const commands = tracingChannel('server-timing:cache')
+const driver = tracingChannel('driver:query')
+const mysql = tracingChannel('mysql2:query')
+const ioredis = tracingChannel('ioredis:command')
+
+withTracing('database instrumentation should', () => {
+  let server
+  let stop
+  let time
+
+  afterEach(done => {
+    stop()
+    server.close(done)
+  })
+
+  const serve = async (options, handler, handlerOptions = {}) => {
+    time = 0
+    stop = instrumentDatabase(options)
+    server = await listen(
+      httpHandler(async (request, response) => {
+        await handler(response)
+        response.end('body')
+      }, { ...handlerOptions, clock: () => time })
+    )
+    return get(server)
+  }
+
+  const query = duration => () =>
+    new Promise(resolve =>
+      setImmediate(() => {
+        time += duration
+        resolve('rows')
+      })
+    )
+
+  it('roll up operations published by the application', async () => {
+    expect.assertions(1)
+    const response = await serve({}, async () => {
+      await queries.tracePromise(query(10), { sql: 'SELECT 1' })
+      await queries.tracePromise(query(2.5), { sql: 'SELECT 2' })
+      commands.traceSync(() => {
+        time += 1
+      }, { command: 'GET' })
+      await new Promise(resolve =>
+        commands.traceCallback(
+          callback => setImmediate(() => {
+            time += 0.5
+            callback(null, 'value')
+          }),
+          0,
+          { command: 'GET' },
+          null,
+          resolve
+        )
+      )
+    })
+
+    expect(response.headers['server-timing']).toBe(
+      'db;desc="2 queries";dur=12.5, cache;desc="2 commands";dur=1.5'
+    )
+  })
+
+  it('record failed operations and map channels of drivers', async () => {
+    expect.assertions(2)
+    const response = await serve({ channels: { 'driver:query': 'pg' } }, async () => {
+      await driver.tracePromise(async () => {
+        await query(4)()
+        throw new Error('Connection lost')
+      }, {}).catch(() => {})
+      expect(() =>
+        driver.traceSync(() => {
+          time += 1
+          throw new Error('Syntax error')
+        }, {})
+      ).toThrow('Syntax error')
+    })
+
+    expect(response.headers['server-timing']).toBe(
+      'pg;desc="2 operations";dur=5'
+    )
+  })
+
+  it('record operations of drivers that publish tracing channels by default', async () => {
+    expect.assertions(2)
+    const handler = async () => {
+      await new Promise(resolve =>
+        mysql.traceCallback(
+          callback => setImmediate(() => {
+            time += 3
+            callback(null, 'rows')
+          }),
+          0,
+          { query: 'SELECT 1' },
+          null,
+          resolve
+        )
+      )
+      await ioredis.tracePromise(query(0.5), { command: 'get' })
+    }
+
+    const response = await serve({}, handler)
+    stop()
+    server.close()
+    const disabled = await serve({ channels: { 'ioredis:command': false } }, handler)
+
+    expect(response.headers['server-timing']).toBe(
+      'db;desc="1 query";dur=3, cache;desc="1 command";dur=0.5'
+    )
+    expect(disabled.headers['server-timing']).toBe('db;desc="1 query";dur=3')
+  })
+
+  it('ignore operations outside of the request', async () => {
+    expect.assertions(2)
+    stop = instrumentDatabase()
+    server = await listen((request, response) => response.end())
+
+    await expect(queries.tracePromise(async () => 'rows', {})).resolves.toBe('rows')
+    expect(() => instrumentDatabase({ channels: { 'driver:query': 'pg sql' } })()).not.toThrow()
+  })
+
+  it('start new rollup for operations after headers are sent', async () => {
+    expect.assertions(2)
+    const report = jest.fn()
+    const reported = new Promise(resolve => report.mockImplementation(resolve))
+
+    const response = await serve({}, async response => {
+      await queries.tracePromise(query(3), { sql: 'SELECT 1' })
+      response.write('head')
+      await queries.tracePromise(query(2), { sql: 'SELECT 2' })
+    }, { reporters: [{ report }] })
+    const metrics = await reported
+
+    expect(response.headers['server-timing']).toBe('db;desc="1 query";dur=3')
+    expect(metrics.filter(({ name }) => name === 'db').map(({ description }) => description))
+      .toStrictEqual(['1 query', '1 query'])
+  })
+
+  it('handle invalid metric names with error policy of the request', async () => {
+    expect.assertions(4)
+    const emitWarning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {})
+    const onError = jest.fn()
+    const handler = () => driver.tracePromise(query(3), { sql: 'SELECT 1' })
+
+    const sanitized = await serve({ channels: { 'driver:query': 'pg sql' } }, handler, {
+      errorPolicy: 'sanitize',
+      onError
+    })
+    stop()
+    server.close()
+    const thrown = await serve({ channels: { 'driver:query': 'pg sql' } }, handler)
+
+    expect(sanitized.headers['server-timing']).toBe('pg_sql;desc="1 operation";dur=3')
+    expect(thrown.headers['server-timing']).toBeUndefined()
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Name contain forbidden symbols', metric: 'pg sql' }),
+      expect.anything()
+    )
+    expect(emitWarning).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Name contain forbidden symbols' })
+    )
+    emitWarning.mockRestore()
+  })
+})
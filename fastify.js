@@ -0,0 +1,48 @@
+const { ServerTiming, requestInfo, tracker } = require('./server-timing')
+const context = require('./context')
+
+/**
+ * Fastify plugin decorate request with serverTiming and
+ * make sure that we will send this headers before fastify finish request
+ * @exports serverTimingFastifyPlugin
+ * @param {object} fastify — fastify instance
+ * @param {object} [options] — plugin options, the same as for express.js middleware
+ * @param {function} done — callback to finish plugin registration
+ * @example <caption>How to register fastify plugin</caption>
+ * const fastify = require('fastify')();
+ * const serverTimingPlugin = require('server-timing-header/fastify');
+ * const port = 3000;
+ * fastify.register(serverTimingPlugin);
+ * fastify.get('/', async (request, reply) => {
+ *   request.serverTiming.from('db');
+ *   // fetching data from database
+ *   request.serverTiming.to('db');
+ * });
+ * fastify.listen({ port }, () => console.log(`Example app listening on port ${port}!`));
+ */
+function serverTimingPlugin (fastify, options, done) {
+  const track = tracker(options)
+
+  fastify.decorateRequest('serverTiming', null)
+  fastify.addHook('onRequest', (request, reply, next) => {
+    request.serverTiming = track(reply.raw, {
+      ...requestInfo(request.raw),
+      request,
+      route: () => request.routeOptions && request.routeOptions.url,
+      ip: request.ip
+    })
+    context.run(request.serverTiming, next)
+  })
+  // Body is parsed in the context of the request stream, so context should be restored
+  fastify.addHook('preValidation', (request, reply, next) => {
+    context.run(request.serverTiming, next)
+  })
+  done()
+}
+
+// Plugin should not be encapsulated, so routes of the parent context have serverTiming too
+serverTimingPlugin[Symbol.for('skip-override')] = true
+serverTimingPlugin[Symbol.for('fastify.display-name')] = 'server-timing-header'
+
+module.exports = serverTimingPlugin
+module.exports.ServerTiming = ServerTiming
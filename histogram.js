@@ -0,0 +1,172 @@
+const DEFAULT_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+const DEFAULT_NAME = 'server_timing_duration_milliseconds'
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+const UNMATCHED_ROUTE = 'unmatched'
+const BROWSER_SOURCE = 'browser'
+// Entries that carry ids in description, their duration is always zero
+const MARKER_NAMES = ['request-id', 'traceparent']
+
+/**
+ * Escape label value for Prometheus text exposition format
+ * @private
+ * @param {string} value — label value
+ * @return {string} — escaped label value
+ */
+function escapeLabel (value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+}
+
+/**
+ * Build labels for Prometheus text exposition format
+ * @private
+ * @param {object} labels — label names and values, undefined values are skipped
+ * @return {string} — labels in curly braces
+ */
+function formatLabels (labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => typeof value !== 'undefined')
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+  return `{${pairs.join(',')}}`
+}
+
+/**
+ * Create process-wide aggregator, that fold metrics of all requests into histograms.
+ * Aggregator is a reporter, so it should be added to the middleware reporters.
+ * Metrics collected in the browser are ignored, because their names are chosen by clients
+ * and each of them would create new histogram, request-id and traceparent entries are ignored too
+ * @public
+ * @param {object} [options] — aggregator options
+ * @param {number[]} [options.buckets] — upper bounds of histogram buckets in milliseconds
+ * @param {boolean} [options.byRoute=false] — create separate histograms for each route, requests without matched route share single histogram
+ * @param {string} [options.name='server_timing_duration_milliseconds'] — name of Prometheus metric
+ * @return {object} — reporter with snapshot, metrics and handler methods
+ * @example <caption>Expose histograms to Prometheus</caption>
+ * const express = require('express');
+ * const serverTimingMiddleware = require('server-timing-header');
+ * const { createHistogram } = serverTimingMiddleware;
+ * const histogram = createHistogram({ byRoute: true });
+ * const app = express();
+ * app.use(serverTimingMiddleware({ reporters: [histogram] }));
+ * app.get('/metrics', histogram.handler);
+ */
+function createHistogram ({
+  buckets = DEFAULT_BUCKETS,
+  byRoute = false,
+  name = DEFAULT_NAME
+} = {}) {
+  const bounds = [...buckets].sort((a, b) => a - b)
+  const histograms = new Map()
+
+  /**
+   * Add duration to histogram of the metric
+   * @param {string} metric — metric name
+   * @param {string} [route] — route of the request
+   * @param {number} duration — duration in milliseconds
+   */
+  function observe (metric, route, duration) {
+    const key = JSON.stringify([metric, route])
+    if (!histograms.has(key)) {
+      histograms.set(key, {
+        metric,
+        route,
+        counts: bounds.map(() => 0),
+        sum: 0,
+        count: 0
+      })
+    }
+    const histogram = histograms.get(key)
+    bounds.forEach((bound, index) => {
+      if (duration <= bound) histogram.counts[index] += 1
+    })
+    histogram.sum += duration
+    histogram.count += 1
+  }
+
+  /**
+   * Fold finalized metrics of the request into histograms
+   * @param {object[]} metrics — finalized metrics
+   * @param {object} request — request information
+   */
+  function report (metrics, request) {
+    if (request.source === BROWSER_SOURCE) return
+    // URL is never used as a label: not found requests and URLs with ids would create histogram for each of them
+    const route = byRoute ? request.route || UNMATCHED_ROUTE : undefined
+    metrics.forEach(({ name: metric, duration }) => {
+      if (!MARKER_NAMES.includes(metric)) observe(metric, route, duration)
+    })
+  }
+
+  /**
+   * Get current state of histograms
+   * @return {object[]} — histograms with metric, route, cumulative buckets, sum and count
+   */
+  function snapshot () {
+    return [...histograms.values()].map(({ metric, route, counts, sum, count }) => ({
+      metric,
+      ...(byRoute && { route }),
+      buckets: [
+        ...bounds.map((le, index) => ({ le, count: counts[index] })),
+        { le: Infinity, count }
+      ],
+      sum,
+      count
+    }))
+  }
+
+  /**
+   * Build Prometheus text exposition of histograms
+   * @return {string} — histograms in Prometheus text format
+   */
+  function metrics () {
+    const lines = [
+      `# HELP ${name} Duration of Server-Timing metrics in milliseconds`,
+      `# TYPE ${name} histogram`
+    ]
+    snapshot().forEach(({ metric, route, buckets: values, sum, count }) => {
+      const labels = { metric, route }
+      values.forEach(({ le, count: bucketCount }) => {
+        const bound = le === Infinity ? '+Inf' : String(le)
+        lines.push(
+          `${name}_bucket${formatLabels({ ...labels, le: bound })} ${bucketCount}`
+        )
+      })
+      lines.push(`${name}_sum${formatLabels(labels)} ${sum}`)
+      lines.push(`${name}_count${formatLabels(labels)} ${count}`)
+    })
+    return `${lines.join('\n')}\n`
+  }
+
+  /**
+   * Request handler that respond with Prometheus text exposition,
+   * it may be mounted in express.js application or used with node.js http server
+   * @param {object} request — express.js or node.js request object
+   * @param {object} response — express.js or node.js response object
+   */
+  function handler (request, response) {
+    response.statusCode = 200
+    response.setHeader('content-type', CONTENT_TYPE)
+    response.end(metrics())
+  }
+
+  /**
+   * Remove all collected data
+   */
+  function reset () {
+    histograms.clear()
+  }
+
+  return {
+    report,
+    snapshot,
+    metrics,
+    handler,
+    reset
+  }
+}
+
+module.exports = {
+  createHistogram
+}
@@ -0,0 +1,117 @@
+const httpHandler = require('./http.js')
+const { createHistogram } = require('./histogram.js')
+const { listen, get } = require('./test-helpers.js')
+
+const request = { method: 'GET', url: '/users/1', route: '/users/:id' }
+
+describe('histogram should', () => {
+  it('count durations in cumulative buckets', () => {
+    expect.assertions(1)
+    const histogram = createHistogram({ buckets: [10, 5] })
+
+    histogram.report([{ name: 'db', duration: 3 }], request)
+    histogram.report([{ name: 'db', duration: 7 }], request)
+    histogram.report([{ name: 'db', duration: 20 }], request)
+
+    expect(histogram.snapshot()).toStrictEqual([
+      {
+        metric: 'db',
+        buckets: [
+          { le: 5, count: 1 },
+          { le: 10, count: 2 },
+          { le: Infinity, count: 3 }
+        ],
+        sum: 30,
+        count: 3
+      }
+    ])
+  })
+
+  it('keep separate histograms for routes', () => {
+    expect.assertions(1)
+    const histogram = createHistogram({ buckets: [10], byRoute: true })
+
+    histogram.report([{ name: 'db', duration: 3 }], request)
+    histogram.report([{ name: 'db', duration: 4 }], { url: '/health' })
+    histogram.report([{ name: 'db', duration: 5 }], { url: '/missing?id=1' })
+
+    expect(histogram.snapshot().map(({ route, count }) => ({ route, count })))
+      .toStrictEqual([
+        { route: '/users/:id', count: 1 },
+        { route: 'unmatched', count: 2 }
+      ])
+  })
+
+  it('ignore metrics collected in the browser and id entries', () => {
+    expect.assertions(1)
+    const histogram = createHistogram({ byRoute: true })
+
+    histogram.report([{ name: 'attacker0', duration: 3 }], { source: 'browser', url: '/users' })
+    histogram.report(
+      [
+        { name: 'request-id', description: 'abc-123', duration: 0 },
+        { name: 'traceparent', description: '00-abc-def-01', duration: 0 },
+        { name: 'db', duration: 3 }
+      ],
+      request
+    )
+
+    expect(histogram.snapshot().map(({ metric }) => metric)).toStrictEqual(['db'])
+  })
+
+  it('build Prometheus text exposition with escaped labels', () => {
+    expect.assertions(1)
+    const histogram = createHistogram({ buckets: [5], name: 'timing' })
+
+    histogram.report([{ name: 'a"b\\c\nd', duration: 2.5 }], request)
+
+    expect(histogram.metrics()).toBe([
+      '# HELP timing Duration of Server-Timing metrics in milliseconds',
+      '# TYPE timing histogram',
+      'timing_bucket{metric="a\\"b\\\\c\\nd",le="5"} 1',
+      'timing_bucket{metric="a\\"b\\\\c\\nd",le="+Inf"} 1',
+      'timing_sum{metric="a\\"b\\\\c\\nd"} 2.5',
+      'timing_count{metric="a\\"b\\\\c\\nd"} 1',
+      ''
+    ].join('\n'))
+  })
+
+  it('remove collected data on reset', () => {
+    expect.assertions(1)
+    const histogram = createHistogram()
+
+    histogram.report([{ name: 'db', duration: 3 }], request)
+    histogram.reset()
+
+    expect(histogram.snapshot()).toStrictEqual([])
+  })
+
+  it('collect metrics from requests and serve them', async () => {
+    expect.assertions(3)
+    const histogram = createHistogram({ buckets: [1000] })
+    const metricsHandler = httpHandler((req, res) => {
+      if (req.url === '/metrics') return histogram.handler(req, res)
+      req.serverTiming.add('db', 'query', 12)
+      res.end('ok')
+    }, { reporters: [histogram] })
+    const server = await listen(metricsHandler)
+
+    try {
+      await get(server, { path: '/users/1' })
+      await get(server, { path: '/users/2' })
+      const response = await get(server, { path: '/metrics' })
+      const { body } = response
+
+      expect(response.headers['content-type'])
+        .toBe('text/plain; version=0.0.4; charset=utf-8')
+      expect(body).toContain(
+        'server_timing_duration_milliseconds_bucket{metric="db",le="1000"} 2'
+      )
+      expect(body).toContain(
+        'server_timing_duration_milliseconds_sum{metric="db"} 24'
+      )
+    } finally {
+      server.close()
+    }
+  })
+})
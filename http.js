@@ -0,0 +1,38 @@
+const { ServerTiming, requestInfo, tracker } = require('./server-timing')
+const context = require('./context')
+
+/**
+ * Wrapper for node.js request handler add serverTiming to request and
+ * make sure that we will send this headers before handler finish request
+ * @exports serverTimingHandler
+ * @param {function} handler — node.js request handler
+ * @param {object} [options] — options, the same as for express.js middleware
+ * @return {function} - return node.js request handler
+ * @example <caption>How to wrap request handler</caption>
+ * const http = require('http');
+ * const serverTiming = require('server-timing-header/http');
+ * const port = 3000;
+ * const server = http.createServer(serverTiming((req, res) => {
+ *   req.serverTiming.from('db');
+ *   // fetching data from database
+ *   req.serverTiming.to('db');
+ *   res.end();
+ * }));
+ * server.listen(port, () => console.log(`Example app listening on port ${port}!`));
+ */
+module.exports = (handler, options = {}) => {
+  const track = tracker(options)
+
+  function serverTimingHandler (request, response) {
+    // Adding controller to request object
+    const serverTiming = track(response, requestInfo(request))
+    request.serverTiming = serverTiming
+
+    // Controller is available in the async context of the request
+    return context.run(serverTiming, () => handler(request, response))
+  }
+
+  return serverTimingHandler
+}
+
+module.exports.ServerTiming = ServerTiming
@@ -1,396 +1,13 @@
-const onHeaders = require('on-headers')
-
-const HEADER_NAME = 'server-timing'
-const INVALID_NAME = 'Name contain forbidden symbols'
-const HEADERS_SENT = 'Headers was already sent and we can not add new headers'
-
-/**
- * Middleware for express.js to add Server Timing headers
- *
- * @namespace ServerTiming
- * @class ServerTiming
- * @see https://w3c.github.io/server-timing/
- * @author Anton Nemtsev <thesilentimp@gmail.com>
- *
- */
-class ServerTiming {
-  /**
-   * Create server timing controller
-   * @constructor
-   * @param {string} [userAgent] — string that contain user agent description
-   * @param {boolean} [sendHeaders=true] - you may send or don't send headers depending on environment
-   */
-  constructor (userAgent = '', sendHeaders = true) {
-    // Before 64 version Chrome support old server-timing
-    // specification with different syntax
-    const isChrome = userAgent.indexOf(' Chrome/') > -1
-    const chromeData = / Chrome\/([\d]+)./gi.exec(userAgent)
-    const chromeVersion =
-      chromeData === null ? null : parseInt(chromeData[1], 10)
-    const isCanary = isChrome && chromeVersion > 64
-    this.oldSpecification = isChrome && !isCanary
-
-    /**
-     * If start time is not specified for metric
-     * we will use time of middleware initialization
-     * @private
-     * @type {integer[]} - time of middleware initialization [seconds, nanoseconds]
-     */
-    this.initialized = process.hrtime()
-
-    /**
-     * Should middleware send headers
-     * @private
-     * @type {boolean} - if false middleware will not add headers
-     */
-    this.sendHeaders = sendHeaders
-
-    /**
-     * @private
-     * @type {object} - We will store time metrics in this object
-     */
-    this.metrics = {}
-
-    /**
-     * @private
-     * @type {array} - Array of callbacks
-     */
-    this.hooks = []
-
-    // We should keep consistent context for non static methods
-    Object.getOwnPropertyNames(Object.getPrototypeOf(this)).forEach(name => {
-      const method = this[name]
-      if (name !== 'constructor' && typeof method === 'function') {
-        this[name] = method.bind(this)
-      }
-    })
-  }
-
-  /**
-   * Add callback to modify data before create and send headers
-   * @public
-   * @param {string} name — hook name
-   * @param {function} callback — function that may modify data before send headers
-   * @param {number} callbackIndex - index that will be used to sort callbacks before execution
-   * @example <caption>Add hook to mutate the metrics</caption>
-   * const express = require('express');
-   * const serverTimingMiddleware = require('server-timing-header');
-   * const port = 3000;
-   * const app = express();
-   * app.use(serverTimingMiddleware());
-   * app.use(function (req, res, next) {
-   *   // If one measurement include other inside you may substract times
-   *   req.serverTiming.addHook('substractDataTimeFromRenderTime', function (metrics) {
-   *      const updated = { ...metrics };
-   *      if (updated.data && updated.render) {
-   *        const renderDuration  = req.serverTiming.calculateDurationSmart(updated.render);
-   *        const dataDuration  = req.serverTiming.calculateDurationSmart(updated.data);
-   *        updated.render.duration = Math.abs(renderDuration - dataDuration);
-   *      }
-   *      return updated;
-   *   });
-   * });
-   * app.listen(port, () => console.log(`Example app listening on port ${port}!`));
-   */
-  addHook (name, callback, callbackIndex) {
-    let index = callbackIndex
-    if (index === undefined) {
-      index = this.hooks.length + 1
-    }
-    this.hooks.push({
-      name,
-      callback,
-      index
-    })
-  }
-
-  /**
-   * Remove callback with specific name
-   * @public
-   * @param {string} name — hook name
-   */
-  removeHook (name) {
-    this.hooks = this.hooks.filter(
-      ({ name: callbackName }) => callbackName !== name
-    )
-  }
-
-  /**
-   * Set start time for metric
-   * @public
-   * @param {string} name — metric name
-   * @param {string} [description] — description of the metric
-   * @throw {Error} — throw an error if name is not valid
-   * @example <caption>You may define only start time for metric</caption>
-   * const express = require('express');
-   * const serverTimingMiddleware = require('server-timing-header');
-   * const port = 3000;
-   * const app = express();
-   * app.use(serverTimingMiddleware());
-   * app.get('/', function (req, res, next) {
-   *   // If you define only start time for metric,
-   *   // then as the end time will be used header sent time
-   *   req.serverTiming.from('metric', 'metric description');
-   *   // fetching data from database
-   * });
-   * app.listen(port, () => console.log(`Example app listening on port ${port}!`));
-   */
-  from (name, description) {
-    this.set(name, 'from', process.hrtime())
-    if (description) this.description(name, description)
-  }
-
-  /**
-   * Set end time for metric
-   * @public
-   * @param {string} name — metric name
-   * @param {string} [description] — description of the metric
-   * @throw {Error} — throw an error if name is not valid
-   * @example <caption>You may define only end time for metric</caption>
-   * const express = require('express');
-   * const serverTimingMiddleware = require('server-timing-header');
-   * const port = 3000;
-   * const app = express();
-   * app.use(serverTimingMiddleware());
-   * app.get('/', function (req, res, next) {
-   *   // fetching data from database
-   *   // If you define only end time for metric,
-   *   // then as the start time will be used middleware initialization time
-   *   req.serverTiming.to('metric');
-   * });
-   * app.listen(port, () => console.log(`Example app listening on port ${port}!`));
-   */
-  to (name, description) {
-    this.set(name, 'to', process.hrtime())
-    if (description) this.description(name, description)
-  }
-
-  /**
-   * Add description to specific metric
-   * @public
-   * @param {string} name — metric name
-   * @param {string} description — description of the metric
-   * @throw {Error} — throw an error if name is not valid
-   */
-  description (name, description) {
-    this.set(name, 'description', description)
-  }
-
-  /**
-   * Add duration to specific metric
-   * @public
-   * @param {string} name — metric name
-   * @param {float} duration — duration of the metric
-   * @throw {Error} — throw an error if name is not valid
-   */
-  duration (name, duration) {
-    this.set(name, 'duration', duration)
-  }
-
-  /**
-   * Add property for metric
-   * or create new metric with this property
-   * if metric with this name not found
-   * @private
-   * @param {string} name - metric name
-   * @param {string} field - property name
-   * @param {mixed} value — property value
-   * @throw {Error} — throw an error if name contains invalid characters
-   */
-  set (name, field, value) {
-    if (!ServerTiming.nameIsValid(name)) throw new Error(INVALID_NAME)
-    if (typeof this.metrics[name] === 'undefined') {
-      this.metrics[name] = { [[field]]: value }
-    } else {
-      this.metrics[name][field] = value
-    }
-  }
-
-  /**
-   * Add metric
-   * @param {string} name - metric name
-   * @param {string} description — metric description
-   * @param {number} duration — metric duration
-   * @throw {Error} — throw an error if name contains invalid characters
-   * @example <caption>Add metric</caption>
-   * const express = require('express');
-   * const serverTimingMiddleware = require('server-timing-header');
-   * const port = 3000;
-   * const app = express();
-   * app.use(serverTimingMiddleware());
-   * app.get('/', function (req, res, next) {
-   *   // You got time metric from the external source
-   *   req.serverTiming.add('metric', 'metric description', 52.3);
-   * });
-   * app.listen(port, () => console.log(`Example app listening on port ${port}!`));
-   */
-  add (name, description, duration = 0.0) {
-    if (!ServerTiming.nameIsValid(name)) throw new Error(INVALID_NAME)
-    this.metrics[name] = {
-      description,
-      duration
-    }
-  }
-
-  /**
-   * Send current set of server timing headers
-   * @private
-   * @param {object} response — express.js response object
-   * @see https://expressjs.com/en/4x/api.html#res
-   * @example <caption>How to add middleware</caption>
-   * const express = require('express');
-   * const serverTimingMiddleware = require('server-timing-header');
-   * const port = 3000;
-   * const app = express();
-   * app.use(serverTimingMiddleware());
-   * app.get('/', function (req, res, next) {
-   *   req.serverTiming.from('db');
-   *   // fetching data from database
-   *   req.serverTiming.to('db');
-   * });
-   * app.listen(port, () => console.log(`Example app listening on port ${port}!`));
-   */
-  addHeaders (response) {
-    if (!this.addHeaders) return
-    if (response.headerSent) throw new Error(HEADERS_SENT)
-    const updatedMetrics = this.hooks
-      .sort(({ index: indexA }, { index: indexB }) => indexA - indexB)
-      .map(({ callback }) => callback)
-      .reduce((metrics, callback) => {
-        return callback(metrics)
-      }, this.metrics)
-    let metrics = Object.entries(updatedMetrics).reduce(
-      (collector, element) => {
-        const [name, { from, to, description, duration }] = element
-        collector.push(
-          ServerTiming.buildHeader(
-            {
-              name,
-              description,
-              from: from || this.initialized,
-              to: to || process.hrtime(),
-              duration
-            },
-            this.oldSpecification
-          )
-        )
-        return collector
-      },
-      []
-    )
-
-    if (
-      Array.isArray(response.headers['server-timing']) &&
-      response.headers['server-timing'].length > 0
-    ) {
-      metrics = [
-        ...response.headers['server-timing'],
-        ...metrics
-      ]
-    }
-
-    if (metrics.length > 0) response.set(HEADER_NAME, metrics)
-    this.metrics = {}
-  }
-
-  /**
-   * Build server-timing header value by old specification
-   * @param {string} name - metric name
-   * @param {string} description - metric description
-   * @param {string} duration - metric duration
-   * @return {string} — server-timing header value
-   */
-  static oldStyle (name, description, duration) {
-    return `${name}${typeof duration !== 'undefined' ? `=${duration}` : ''}${
-      typeof description !== 'undefined' ? `; "${description}"` : ''
-    }`
-  }
-
-  /**
-   * Build server-timing header value by current specification
-   * @param {string} name - metric name
-   * @param {string} description - metric description
-   * @param {string} duration - metric duration
-   * @return {string} — server-timing header value
-   */
-  static newStyle (name, description, duration) {
-    return `${name}${
-      typeof description !== 'undefined' ? `;desc="${description}"` : ''
-    }${typeof duration !== 'undefined' ? `;dur=${duration}` : ''}`
-  }
-
-  /**
-   * Build server timing headers
-   * @static
-   * @private
-   * @param {object} metric — object that contain metric information
-   * @param {string} metric.name — metric name
-   * @param {string} metric.description — metric description
-   * @param {integer[]} metric.from — start time [seconds, nanoseconds]
-   * @param {integer[]} metric.to — end time [seconds, nanoseconds]
-   * @return {string} — header value with timings for specific metric
-   */
-  static buildHeader (
-    { name, description, duration, from, to },
-    oldSpecification = false
-  ) {
-    const time = duration || ServerTiming.calculateDuration(from, to)
-    return oldSpecification
-      ? ServerTiming.oldStyle(name, description, time)
-      : ServerTiming.newStyle(name, description, time)
-  }
-
-  /**
-   * Calculate duration between two timestamps, if from or two is undefined — will use initialization time and current time to replace
-   * @public
-   * @param {object} metric — object that contain metric information
-   * @param {string} metric.name — metric name
-   * @param {string} metric.description — metric description
-   * @param {integer[]} metric.from — start time [seconds, nanoseconds], if undefined, initialization time will be used
-   * @param {integer[]} metric.to — end time [seconds, nanoseconds], if undefined, current timestamp will be used
-   * @param {integer} metric.duration — time in milliseconds, if not undefined method will just return durations
-   * @return {integer} - duration in milliseconds
-   */
-  calculateDurationSmart (metric) {
-    const fromLabel = metric.from || this.initialized
-    const toLabel = metric.to || process.hrtime()
-    return (
-      metric.duration || ServerTiming.calculateDuration(fromLabel, toLabel)
-    )
-  }
-
-  /**
-   * Calculate duration between two timestamps
-   * @static
-   * @private
-   * @param {integer[]} from — start time [seconds, nanoseconds]
-   * @param {integer[]} to — end time [seconds, nanoseconds]
-   * @return {integer} - duration in milliseconds
-   */
-  static calculateDuration (from, to) {
-    const fromTime = parseInt(from[0] * 1e3 + from[1] * 1e-6, 10)
-    const toTime = parseInt(to[0] * 1e3 + to[1] * 1e-6, 10)
-    return Math.abs(toTime - fromTime)
-  }
-
-  /**
-   * Check if metric name is valid
-   * (),/:;<=>?@[\]{}" Don't allowed
-   * Minimal length is one symbol
-   * Digits, alphabet characters,
-   * and !#$%&'*+-.^_`|~ are allowed
-   *
-   * @static
-   * @private
-   * @see https://www.w3.org/TR/2019/WD-server-timing-20190307/#the-server-timing-header-field
-   * @see https://tools.ietf.org/html/rfc7230#section-3.2.6
-   * @param {string} name — metric name
-   * @return {boolean} — is name valid
-   */
-  static nameIsValid (name) {
-    return /^[!#$%&'*+\-.^_`|~0-9a-z]+$/gi.test(name)
-  }
-}
+const { ServerTiming, tracker } = require('./server-timing')
+const { createToken } = require('./policy')
+const { jsonReporter, callbackReporter } = require('./reporters')
+const { createHistogram } = require('./histogram')
+const { instrument } = require('./instrument')
+const { instrumentOutbound } = require('./outbound')
+const { instrumentDatabase } = require('./database')
+const { parse, validate } = require('./parser')
+const { rumHandler } = require('./rum')
+const context = require('./context')
 
 /**
  * Express middleware add serverTiming to request and
@@ -398,6 +15,33 @@ class ServerTiming {
  * @exports serverTimingMiddleware
  * @param {object} [options] — middleware options
  * @param {boolean} [options.sendHeaders] - should middleware send headers (may be disabled for some environments)
+ * @param {boolean} [options.markFailed] - add "failed" to description of metrics measured with rejected promise or thrown error
+ * @param {boolean} [options.trailers] - send metrics as trailer for streamed responses if client send `TE: trailers`
+ * @param {number} [options.precision] - number of decimal places in reported durations, from 0 to 3
+ * @param {string} [options.rounding] - rounding mode for reported durations: round, floor, ceil or trunc
+ * @param {boolean} [options.nested] - metrics started while other metric is open become its children, named as parent.child
+ * @param {boolean} [options.exclusive] - report own time of nested metrics without time of their children
+ * @param {string|string[]} [options.aggregate] - aggregate repeated measurements of the same metric: total, count, average or max, list of aggregations will be reported as separate entries
+ * @param {number} [options.maxHeaderSize] - maximal length of server-timing header in bytes, descriptions of the least important metrics are truncated and metrics are dropped to fit it
+ * @param {number} [options.maxEntries] - maximal number of entries in server-timing header, the least important metrics are dropped
+ * @param {boolean} [options.markOmitted] - add "omitted" entry with number of metrics that were dropped to fit the limits
+ * @param {function} [options.clock] - function that return current time as bigint in nanoseconds or number in milliseconds, like performance.now, process.hrtime.bigint is used by default
+ * @param {string} [options.errorPolicy] - what to do with invalid metric names and headers sent too late: throw, sanitize names or drop the call
+ * @param {function} [options.onError] - function that receive error and controller with sanitize and drop policies, errors are emitted as process warnings by default
+ * @param {string|function} [options.format] - format of header values: modern, legacy, auto to choose by user agent or function that receive metric and return header value, auto is used by default
+ * @param {function} [options.detectFormat] - function that receive user agent and return modern or legacy format in auto mode, legacy format is used only for Chrome 64 and earlier by default
+ * @param {boolean|function|object} [options.expose] - policy that decide who receive server-timing headers: boolean, predicate that receive request or object with rules, request is allowed if any rule match
+ * @param {string[]} [options.expose.ips] - list of allowed IP addresses and CIDR ranges
+ * @param {string|object} [options.expose.header] - name of required header or object with header name and value
+ * @param {object} [options.expose.token] - signed token options: secret and header, default header is X-Server-Timing-Token
+ * @param {number} [options.expose.sampleRate] - part of requests from 0 to 1 that will receive headers
+ * @param {boolean|string|string[]|function} [options.timingAllowOrigin] - send Timing-Allow-Origin header with server-timing, so pages of other origins can read metrics: true for any origin, origin, list of origins or function that receive request and return one of them, it is not sent when headers are not exposed
+ * @param {object} [options.builtins] - add built-in metrics
+ * @param {boolean} [options.builtins.total] - add `total` metric with time from the middleware start until headers are sent
+ * @param {boolean} [options.builtins.response] - add `response` metric with time from headers until response is finished, it is visible in trailers and reporters
+ * @param {boolean|string} [options.builtins.queue] - add `queue` metric with time request spent before the middleware, read from X-Request-Start header or header with the given name
+ * @param {boolean|string} [options.builtins.requestId] - add `request-id` metric with id of the request in description, read from X-Request-Id header or header with the given name, random UUID is used if header is absent
+ * @param {object[]} [options.reporters] - reporters with report(metrics, request, serverTiming) method, they receive finalized metrics and request information when response is finished, optional start(serverTiming, request) method is called when controller is created
  * @return {function} - return express middleware
  * @example <caption>How to add middleware</caption>
  * const express = require('express');
@@ -412,23 +56,51 @@ class ServerTiming {
  * });
  * app.listen(port, () => console.log(`Example app listening on port ${port}!`));
  */
-module.exports = ({ sendHeaders = true } = {}) => {
+module.exports = (options = {}) => {
+  const track = tracker(options)
+
   function serverTimingMiddleware (request, response, next) {
     // Adding controller to request object
-    request.serverTiming = new ServerTiming(
-      request.header('user-agent'),
-      sendHeaders
-    )
-
-    // We should send server-timing headers before headers are sent
-    if (sendHeaders) {
-      onHeaders(response, () => {
-        request.serverTiming.addHeaders(response)
-      })
-    }
+    const serverTiming = track(response, {
+      request,
+      userAgent: request.header('user-agent'),
+      te: request.header('te'),
+      httpVersion: request.httpVersion,
+      method: request.method,
+      url: request.originalUrl,
+      // Route is known only after request was routed
+      route: () =>
+        request.route ? `${request.baseUrl}${request.route.path}` : undefined,
+      ip: request.ip,
+      header: name => request.header(name)
+    })
+    request.serverTiming = serverTiming
 
-    next()
+    // Controller is available in the async context of the request
+    context.run(serverTiming, next)
   }
 
   return serverTimingMiddleware
 }
+
+module.exports.ServerTiming = ServerTiming
+module.exports.createToken = createToken
+module.exports.jsonReporter = jsonReporter
+module.exports.callbackReporter = callbackReporter
+module.exports.createHistogram = createHistogram
+module.exports.instrument = instrument
+module.exports.instrumentOutbound = instrumentOutbound
+module.exports.instrumentDatabase = instrumentDatabase
+module.exports.parse = parse
+module.exports.validate = validate
+module.exports.rumHandler = rumHandler
+module.exports.current = context.current
+module.exports.from = context.from
+module.exports.to = context.to
+module.exports.add = context.add
+module.exports.description = context.description
+module.exports.duration = context.duration
+module.exports.param = context.param
+module.exports.merge = context.merge
+module.exports.measure = context.measure
+module.exports.wrap = context.wrap
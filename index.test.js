@@ -1,13 +1,23 @@
+const { performance } = require('perf_hooks')
 const { Request } = require('jest-express/lib/request')
 const { Response } = require('jest-express/lib/response')
 
 const middleware = require('./index.js')
+const { listen, get } = require('./test-helpers.js')
 
 const modernChrome = () =>
   'User-Agent: Mozilla/5.0 (Macintosh; Intel Mac OS X 10_13_6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/72.0.3809.100 Safari/537.36'
 const oldChrome = () =>
   'User-Agent: Mozilla/5.0 (Macintosh; Intel Mac OS X 10_13_6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/62.0.3809.100 Safari/537.36'
 
+// Minimal express-like server to check behaviour with real node.js response
+const serve = (options, handler) =>
+  listen((request, response) => {
+    request.header = name => request.headers[name.toLowerCase()]
+    response.set = (name, value) => response.setHeader(name, value)
+    middleware(options)(request, response, () => handler(request, response))
+  })
+
 describe('server Timing middleware should', () => {
   it('add serverTiming object to request object', () => {
     expect.assertions(1)
@@ -219,6 +229,90 @@ describe('server Timing middleware should', () => {
     )
   })
 
+  it('send modern or legacy format regardless of user agent when format is set', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const response = new Response()
+    const oldRequest = new Request()
+    oldRequest.header = oldChrome
+    const modernRequest = new Request()
+    modernRequest.header = modernChrome
+
+    middleware({ sendHeaders: false, format: 'modern' })(oldRequest, response, next)
+    middleware({ sendHeaders: false, format: 'legacy' })(modernRequest, response, next)
+
+    oldRequest.serverTiming.add('db', 'query', 12)
+    modernRequest.serverTiming.add('db', 'query', 12)
+
+    expect(oldRequest.serverTiming.buildHeaders()).toStrictEqual(['db;desc=query;dur=12'])
+    expect(modernRequest.serverTiming.buildHeaders()).toStrictEqual(['db=12; "query"'])
+  })
+
+  it('choose format with custom detector in auto mode', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+    const detectFormat = jest.fn(() => 'legacy')
+
+    middleware({ sendHeaders: false, detectFormat })(request, response, next)
+
+    request.serverTiming.add('db', 'query', 12)
+
+    expect(detectFormat).toHaveBeenCalledWith(modernChrome())
+    expect(request.serverTiming.buildHeaders()).toStrictEqual(['db=12; "query"'])
+  })
+
+  it('serialize metrics with custom format function', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = oldChrome
+    const response = new Response()
+    const format = jest.fn(({ name, duration }) => `${name}=${duration}ms`)
+
+    middleware({ sendHeaders: false, format })(request, response, next)
+
+    request.serverTiming.add('db', 'query', 12, { params: { rows: 3 } })
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual(['db=12ms'])
+    expect(format).toHaveBeenCalledWith({
+      name: 'db',
+      description: 'query',
+      duration: 12,
+      params: { rows: 3 }
+    })
+  })
+
+  it('detect legacy format only for Chrome 64 and earlier', () => {
+    expect.assertions(4)
+    const { detectFormat } = middleware.ServerTiming
+
+    expect(detectFormat(oldChrome())).toBe('legacy')
+    expect(detectFormat(modernChrome())).toBe('modern')
+    expect(detectFormat('curl/8.0.1')).toBe('modern')
+    expect(detectFormat()).toBe('modern')
+  })
+
+  it('throw an error when format or detector is not valid', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+    const message =
+      'Format should be one of: modern, legacy, auto or a function, detector should be a function'
+
+    expect(() =>
+      middleware({ format: 'html' })(request, response, next)
+    ).toThrow(message)
+    expect(() =>
+      middleware({ detectFormat: 'legacy' })(request, response, next)
+    ).toThrow(message)
+  })
+
   it('would not rewrite headers added by other application', () => {
     expect.assertions(3)
     const next = jest.fn()
@@ -315,4 +409,1309 @@ describe('server Timing middleware should', () => {
       'render;desc="rendering app";dur=600'
     )
   })
+
+  it('allow measure sync function', () => {
+    expect.assertions(3)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    const result = request.serverTiming.measure(
+      'userData',
+      'getting user data from user microservice',
+      () => 42
+    )
+    request.serverTiming.addHeaders(response)
+
+    expect(result).toBe(42)
+    expect(response.headers['server-timing']).toHaveLength(1)
+    expect(response.headers['server-timing'][0]).toStrictEqual(
+      expect.stringContaining(
+        'userData;desc="getting user data from user microservice";dur='
+      )
+    )
+  })
+
+  it('allow measure promise without description', async () => {
+    expect.assertions(3)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    const result = await request.serverTiming.measure(
+      'userData',
+      Promise.resolve('user')
+    )
+    request.serverTiming.addHeaders(response)
+
+    expect(result).toBe('user')
+    expect(response.headers['server-timing']).toHaveLength(1)
+    expect(response.headers['server-timing'][0]).toStrictEqual(
+      expect.stringMatching(/^userData;dur=[\d.]+$/)
+    )
+  })
+
+  it('record end time and rethrow when measured function fail', async () => {
+    expect.assertions(5)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    expect(() =>
+      request.serverTiming.measure('sync', () => {
+        throw new Error('sync error')
+      })
+    ).toThrow('sync error')
+    await expect(
+      request.serverTiming.measure('async', 'async call', async () => {
+        throw new Error('async error')
+      })
+    ).rejects.toThrow('async error')
+    expect(request.serverTiming.metrics.sync).toHaveProperty('to')
+    expect(request.serverTiming.metrics.async).toHaveProperty('failed', true)
+
+    request.serverTiming.addHeaders(response)
+    expect(response.headers['server-timing'][1]).toStrictEqual(
+      expect.stringContaining('async;desc="async call";dur=')
+    )
+  })
+
+  it('mark failed metrics when markFailed option is enabled', async () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false, markFailed: true })(
+      request,
+      response,
+      next
+    )
+
+    await expect(
+      request.serverTiming.measure('async', 'async call', Promise.reject(new Error('async error')))
+    ).rejects.toThrow('async error')
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing'][0]).toStrictEqual(
+      expect.stringContaining('async;desc="async call (failed)";dur=')
+    )
+  })
+
+  it('allow wrap function to measure each call', async () => {
+    expect.assertions(3)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    const repository = {
+      prefix: 'user',
+      async get (id) {
+        return `${this.prefix}-${id}`
+      }
+    }
+    repository.get = request.serverTiming.wrap('db', repository.get)
+
+    expect(await repository.get(1)).toBe('user-1')
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toHaveLength(1)
+    expect(response.headers['server-timing'][0]).toStrictEqual(
+      expect.stringMatching(/^db;dur=[\d.]+$/)
+    )
+  })
+
+  it('throw an error when wrap function with invalid name', () => {
+    expect.assertions(1)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    expect(() => request.serverTiming.wrap('d b', () => {})).toThrow(
+      'Name contain forbidden symbols'
+    )
+  })
+
+  it('escape quotes and backslashes in description', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    request.serverTiming.add('userData', 'user "admin" from C:\\users', 123)
+    request.serverTiming.add('itemData', 'item', 234)
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toContainEqual(
+      'userData;desc="user \\"admin\\" from C:\\\\users";dur=123'
+    )
+    expect(response.headers['server-timing']).toContainEqual(
+      'itemData;desc=item;dur=234'
+    )
+  })
+
+  it('replace control characters and encode non Latin-1 characters in description', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    request.serverTiming.add('userData', 'first line\r\nsecond\tline', 123)
+    request.serverTiming.add('itemData', 'café ☕', 234)
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toContainEqual(
+      'userData;desc="first line second\tline";dur=123'
+    )
+    expect(response.headers['server-timing']).toContainEqual(
+      'itemData;desc="café %E2%98%95";dur=234'
+    )
+  })
+
+  it('escape description in old standards and hook modified metrics', () => {
+    expect.assertions(1)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = oldChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    request.serverTiming.addHook('quote', metrics => {
+      metrics.userData.description = '"quoted"\n'
+      return metrics
+    })
+    request.serverTiming.add('userData', 'user', 123)
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toContainEqual(
+      'userData=123; "\\"quoted\\" "'
+    )
+  })
+
+  it('report durations with sub-millisecond precision', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    request.serverTiming.set('cache', 'from', BigInt(1000000))
+    request.serverTiming.set('cache', 'to', BigInt(1234567))
+    request.serverTiming.set('legacy', 'from', [1, 0])
+    request.serverTiming.set('legacy', 'to', [1, 500000])
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toContainEqual('cache;dur=0.235')
+    expect(response.headers['server-timing']).toContainEqual('legacy;dur=0.5')
+  })
+
+  it('allow configure precision and rounding mode', () => {
+    expect.assertions(3)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false, precision: 1, rounding: 'floor' })(
+      request,
+      response,
+      next
+    )
+
+    request.serverTiming.set('cache', 'from', BigInt(1000000))
+    request.serverTiming.set('cache', 'to', BigInt(2290000))
+    request.serverTiming.add('external', 'external source', 52.36)
+
+    expect(
+      request.serverTiming.calculateDurationSmart(
+        request.serverTiming.metrics.cache
+      )
+    ).toBe(1.2)
+
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toContainEqual('cache;dur=1.2')
+    expect(response.headers['server-timing']).toContainEqual(
+      'external;desc="external source";dur=52.3'
+    )
+  })
+
+  it('round durations modified with hooks', () => {
+    expect.assertions(1)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false, precision: 0 })(request, response, next)
+
+    request.serverTiming.addHook('third', metrics => {
+      metrics.render.duration = metrics.render.duration / 3
+      return metrics
+    })
+    request.serverTiming.add('render', 'rendering app', 100)
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toContainEqual(
+      'render;desc="rendering app";dur=33'
+    )
+  })
+
+  it('report zero durations as is', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false, precision: 0 })(request, response, next)
+
+    request.serverTiming.add('marker', 'only description', 0)
+    request.serverTiming.set('cache', 'from', BigInt(1000000))
+    request.serverTiming.set('cache', 'to', BigInt(1200000))
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toContainEqual(
+      'marker;desc="only description";dur=0'
+    )
+    expect(response.headers['server-timing']).toContainEqual('cache;dur=0')
+  })
+
+  it('throw an error when precision or rounding mode is not valid', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    expect(() =>
+      middleware({ precision: 5 })(request, response, next)
+    ).toThrow('Precision should be an integer from 0 to 3')
+    expect(() =>
+      middleware({ rounding: 'up' })(request, response, next)
+    ).toThrow('Rounding should be one of: round, floor, ceil, trunc')
+  })
+
+  it('name nested metrics after their parents', () => {
+    expect.assertions(5)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false, nested: true })(request, response, next)
+
+    request.serverTiming.from('render', 'rendering app')
+    request.serverTiming.from('data')
+    request.serverTiming.from('db')
+    request.serverTiming.to('db')
+    request.serverTiming.add('cache', 'cache read', 5)
+    request.serverTiming.to('data')
+    request.serverTiming.to('render')
+    request.serverTiming.add('total', 'total time', 100)
+
+    expect(request.serverTiming.metrics['render.data.db']).toHaveProperty(
+      'parent',
+      'render.data'
+    )
+    expect(request.serverTiming.metrics['render.data.cache']).toHaveProperty(
+      'parent',
+      'render.data'
+    )
+    expect(request.serverTiming.metrics.total).not.toHaveProperty('parent')
+
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toHaveLength(5)
+    expect(response.headers['server-timing']).toStrictEqual([
+      expect.stringContaining('render;desc="rendering app";dur='),
+      expect.stringContaining('render.data;dur='),
+      expect.stringContaining('render.data.db;dur='),
+      'render.data.cache;desc="cache read";dur=5',
+      'total;desc="total time";dur=100'
+    ])
+  })
+
+  it('close open children with parent metric', () => {
+    expect.assertions(3)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+    let time = 100
+
+    middleware({ sendHeaders: false, nested: true, clock: () => time })(request, response, next)
+
+    request.serverTiming.from('render')
+    time += 1
+    request.serverTiming.from('data')
+    time += 1
+    request.serverTiming.to('render')
+    request.serverTiming.from('log')
+    time += 50
+
+    expect(request.serverTiming.metrics).toHaveProperty('log')
+    expect(request.serverTiming.metrics['render.data']).toHaveProperty(
+      'to',
+      request.serverTiming.metrics.render.to
+    )
+    request.serverTiming.addHeaders(response)
+    expect(response.headers['server-timing']).toStrictEqual([
+      'render;dur=2',
+      'render.data;dur=1',
+      'log;dur=50'
+    ])
+  })
+
+  it('report exclusive time of nested metrics', () => {
+    expect.assertions(1)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false, nested: true, exclusive: true })(
+      request,
+      response,
+      next
+    )
+
+    request.serverTiming.from('render')
+    request.serverTiming.add('data', 'getting data', 550)
+    request.serverTiming.add('template', 'compiling template', 30)
+    request.serverTiming.to('render')
+    request.serverTiming.duration('render', 600)
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual([
+      'render;dur=20',
+      'render.data;desc="getting data";dur=550',
+      'render.template;desc="compiling template";dur=30'
+    ])
+  })
+
+  it('import metrics from server-timing header of upstream service', () => {
+    expect.assertions(1)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    request.serverTiming.add('users', 'users service', 30)
+    request.serverTiming.merge(
+      'db;desc="user \\"query\\"";dur=12.5, invalid entry, cdn;desc=HIT',
+      { prefix: 'users' }
+    )
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual([
+      'users;desc="users service";dur=30',
+      'users.db;desc="user \\"query\\"";dur=12.5',
+      'users.cdn;desc=HIT;dur=0'
+    ])
+  })
+
+  it('import metrics of upstream service as children of the calling metric', () => {
+    expect.assertions(3)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false, nested: true, exclusive: true })(
+      request,
+      response,
+      next
+    )
+
+    request.serverTiming.from('users')
+    request.serverTiming.merge(['db;dur=10', 'cache;dur=5'], { nested: true })
+    request.serverTiming.to('users')
+
+    expect(request.serverTiming.metrics['users.db']).toHaveProperty(
+      'parent',
+      'users'
+    )
+    expect(request.serverTiming.metrics['users.cache']).toHaveProperty(
+      'parent',
+      'users'
+    )
+    expect(() =>
+      request.serverTiming.merge('db;dur=1', { prefix: 'users service' })
+    ).toThrow('Name contain forbidden symbols')
+  })
+
+  it('import nothing when upstream service did not send header', () => {
+    expect.assertions(1)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    // fetch return null for absent header
+    request.serverTiming.merge(null, { prefix: 'users' })
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers).not.toHaveProperty('server-timing')
+  })
+
+  it('drop the least important metrics to fit number of entries', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false, maxEntries: 3, markOmitted: true })(
+      request,
+      response,
+      next
+    )
+
+    request.serverTiming.add('db', 'query', 10, { priority: 2 })
+    request.serverTiming.add('cache', 'read', 1)
+    request.serverTiming.add('render', 'html', 5, { priority: 1 })
+    request.serverTiming.from('total', 'total time', { priority: 3 })
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual([
+      'db;desc=query;dur=10',
+      expect.stringMatching(/^total;desc="total time";dur=[\d.]+$/),
+      'omitted;desc=2;dur=0'
+    ])
+    expect(request.serverTiming.finalized).toHaveLength(4)
+  })
+
+  it('truncate descriptions and drop metrics to fit header size', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false, maxHeaderSize: 40 })(request, response, next)
+
+    request.serverTiming.add('db', 'long description of the query', 10, { priority: 1 })
+    request.serverTiming.add('cache', 'cache 🙂 read', 1)
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual([
+      'db;desc="long description of the";dur=10'
+    ])
+    expect(response.headers['server-timing'].join(', ').length).toBeLessThanOrEqual(40)
+  })
+
+  it('count values set by other application toward the limits', () => {
+    expect.assertions(3)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false, maxEntries: 3, maxHeaderSize: 60 })(request, response, next)
+
+    response.setHeader('server-timing', ['cdn;dur=2', 'edge;desc=ams;dur=1'])
+    request.serverTiming.add('db', 'long description of the query', 10, { priority: 1 })
+    request.serverTiming.add('cache', 'read', 1)
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual([
+      'cdn;dur=2',
+      'edge;desc=ams;dur=1',
+      'db;desc="long descri";dur=10'
+    ])
+    expect(response.headers['server-timing']).toHaveLength(3)
+    expect(response.headers['server-timing'].join(', ').length).toBeLessThanOrEqual(60)
+  })
+
+  it('truncate description by its serialized size', () => {
+    expect.assertions(1)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false, maxHeaderSize: 40 })(request, response, next)
+    request.serverTiming.add('b', '✓'.repeat(10), 1, { priority: 5 })
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual([
+      'b;desc=%E2%9C%93%E2%9C%93%E2%9C%93;dur=1'
+    ])
+  })
+
+  it('keep single value set by other application and count its entries', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+    const full = new Response()
+
+    middleware({ sendHeaders: false, maxEntries: 2 })(request, response, next)
+    response.setHeader('server-timing', 'app;dur=5')
+    request.serverTiming.add('mine', 'x', 1)
+    request.serverTiming.addHeaders(response)
+    middleware({ sendHeaders: false, maxEntries: 2 })(request, full, next)
+    full.setHeader('server-timing', 'cdn;dur=2, edge;dur=1')
+    request.serverTiming.add('mine', 'x', 1)
+    request.serverTiming.addHeaders(full)
+
+    expect(response.headers['server-timing']).toStrictEqual(['app;dur=5', 'mine;desc=x;dur=1'])
+    expect(full.headers['server-timing']).toStrictEqual(['cdn;dur=2, edge;dur=1'])
+  })
+
+  it('send no own metrics when values set by other application fill the limits', () => {
+    expect.assertions(1)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false, maxEntries: 1, maxHeaderSize: 20, markOmitted: true })(
+      request,
+      response,
+      next
+    )
+
+    response.setHeader('server-timing', ['cdn;dur=2', 'edge;desc=ams;dur=1'])
+    request.serverTiming.add('db', 'query', 10)
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual([
+      'cdn;dur=2',
+      'edge;desc=ams;dur=1'
+    ])
+  })
+
+  it('throw an error when limits are not valid', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    expect(() =>
+      middleware({ maxHeaderSize: 0 })(request, response, next)
+    ).toThrow('Header size and number of entries should be positive numbers')
+    expect(() =>
+      middleware({ maxEntries: 'many' })(request, response, next)
+    ).toThrow('Header size and number of entries should be positive numbers')
+  })
+
+  it('send extra parameters of metrics', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    request.serverTiming.add('cache', 'read', 1, { params: { cache: 'hit' } })
+    request.serverTiming.from('db', 'query', { params: { region: 'eu west' } })
+    request.serverTiming.to('db')
+    request.serverTiming.param('db', 'rows', 120)
+    request.serverTiming.merge('cdn;dur=2;pop=ams')
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual([
+      'cache;desc=read;dur=1;cache=hit',
+      expect.stringMatching(/^db;desc=query;dur=[\d.]+;region="eu west";rows=120$/),
+      'cdn;dur=2;pop=ams'
+    ])
+    expect(request.serverTiming.finalized.map(({ params }) => params)).toStrictEqual([
+      { cache: 'hit' },
+      { region: 'eu west', rows: 120 },
+      { pop: 'ams' }
+    ])
+  })
+
+  it('pass extra parameters to hooks and skip them for old specification', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = oldChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    request.serverTiming.add('cache', 'read', 1, { params: { cache: 'hit' } })
+    request.serverTiming.addHook('params', metrics => {
+      expect(metrics.cache.params).toStrictEqual({ cache: 'hit' })
+      return metrics
+    })
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual([
+      'cache=1; "read"'
+    ])
+  })
+
+  it('throw an error when parameter name is not valid or reserved', () => {
+    expect.assertions(3)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    expect(() =>
+      request.serverTiming.add('db', 'query', 1, { params: { 'cache hit': 1 } })
+    ).toThrow('Parameter name contain forbidden symbols or is reserved')
+    expect(() =>
+      request.serverTiming.from('db', 'query', { params: { DUR: 1 } })
+    ).toThrow('Parameter name contain forbidden symbols or is reserved')
+    expect(() => request.serverTiming.param('db', 'desc', 'query')).toThrow(
+      'Parameter name contain forbidden symbols or is reserved'
+    )
+  })
+
+  it('measure exact durations with injected clock', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+    let time = 1000
+
+    middleware({ sendHeaders: false, clock: () => time })(request, response, next)
+
+    request.serverTiming.from('db', 'query')
+    time += 12.5
+    request.serverTiming.to('db')
+    time += 2.25
+    request.serverTiming.from('render')
+    time += 0.125
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual([
+      'db;desc=query;dur=12.5',
+      'render;dur=0.125'
+    ])
+    expect(request.serverTiming.finalized).toStrictEqual([
+      { name: 'db', description: 'query', duration: 12.5, start: 0, end: 12.5 },
+      { name: 'render', description: undefined, duration: 0.125, start: 14.75, end: 14.875 }
+    ])
+  })
+
+  it('accept clock with time in nanoseconds', () => {
+    expect.assertions(1)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+    let time = BigInt(0)
+
+    middleware({ sendHeaders: false, clock: () => time })(request, response, next)
+
+    request.serverTiming.from('db')
+    time += BigInt(3000000)
+    request.serverTiming.to('db')
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual(['db;dur=3'])
+  })
+
+  it('accept clock that start from zero', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+    let time = 0
+
+    middleware({ sendHeaders: false, clock: () => time })(request, response, next)
+
+    request.serverTiming.from('db')
+    request.serverTiming.to('db')
+    time += 25
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual(['db;dur=0'])
+    expect(request.serverTiming.finalized).toStrictEqual([
+      { name: 'db', description: undefined, duration: 0, start: 0, end: 0 }
+    ])
+  })
+
+  it('accept performance.now as clock', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    expect(() =>
+      middleware({ sendHeaders: false, clock: performance.now })(request, response, next)
+    ).not.toThrow()
+    request.serverTiming.from('db')
+    request.serverTiming.to('db')
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual([expect.stringMatching(/^db;dur=\d/)])
+  })
+
+  it('throw an error when clock is not a function', () => {
+    expect.assertions(1)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    expect(() =>
+      middleware({ clock: Date.now() })(request, response, next)
+    ).toThrow('Clock should be a function')
+  })
+
+  it('sanitize invalid names and parameters with sanitize error policy', () => {
+    expect.assertions(3)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+    const onError = jest.fn()
+
+    middleware({ sendHeaders: false, errorPolicy: 'sanitize', onError })(request, response, next)
+
+    request.serverTiming.add('user lookup', 'cache', 1, { params: { 'cache hit': 1, dur: 2 } })
+    request.serverTiming.from('db(users)')
+    request.serverTiming.to('db(users)')
+    request.serverTiming.duration('db(users)', 3)
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual([
+      'user_lookup;desc=cache;dur=1;cache_hit=1',
+      'db_users_;dur=3'
+    ])
+    expect(onError).toHaveBeenCalledTimes(6)
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: 'Name contain forbidden symbols',
+        metric: 'user lookup'
+      }),
+      request.serverTiming
+    )
+  })
+
+  it('drop calls with invalid names and still run measured functions with drop error policy', async () => {
+    expect.assertions(5)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+    const onError = jest.fn()
+
+    middleware({ sendHeaders: false, errorPolicy: 'drop', onError })(request, response, next)
+
+    request.serverTiming.add('user lookup', 'cache', 1)
+    request.serverTiming.add('db', 'query', 2, { params: { 'cache hit': 1 } })
+    expect(request.serverTiming.measure('bad name', () => 'result')).toBe('result')
+    await expect(request.serverTiming.measure('bad name', Promise.resolve('async'))).resolves.toBe('async')
+    expect(request.serverTiming.wrap('bad name', (a, b) => a + b)(1, 2)).toBe(3)
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual(['db;desc=query;dur=2'])
+    expect(onError).toHaveBeenCalledTimes(5)
+  })
+
+  it('report late headers and emit warnings without onError callback', () => {
+    expect.assertions(3)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+    const emitWarning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {})
+
+    middleware({ sendHeaders: false, errorPolicy: 'drop' })(request, response, next)
+
+    request.serverTiming.add('db', 'query', 2)
+    response.headersSent = true
+    expect(() => request.serverTiming.addHeaders(response)).not.toThrow()
+    expect(emitWarning).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: 'Headers was already sent and we can not add new headers'
+      })
+    )
+    expect(response.headers['server-timing']).toBeUndefined()
+    emitWarning.mockRestore()
+  })
+
+  it('emit warning when onError callback throws', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+    const emitWarning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {})
+    const failure = new Error('logger is down')
+
+    middleware({
+      sendHeaders: false,
+      errorPolicy: 'sanitize',
+      onError: () => {
+        throw failure
+      }
+    })(request, response, next)
+
+    expect(() => request.serverTiming.add('user lookup', 'cache', 1)).not.toThrow()
+    expect(emitWarning).toHaveBeenCalledWith(failure)
+    emitWarning.mockRestore()
+  })
+
+  it('emit warning when start of reporter throws', async () => {
+    expect.assertions(2)
+    const emitWarning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {})
+    const failure = new Error('reporter is down')
+    const server = await serve(
+      {
+        reporters: [
+          {
+            start () {
+              throw failure
+            },
+            report () {}
+          }
+        ]
+      },
+      (request, response) => response.end('body')
+    )
+
+    const response = await get(server)
+    server.close()
+
+    expect(response.statusCode).toBe(200)
+    expect(emitWarning).toHaveBeenCalledWith(failure)
+    emitWarning.mockRestore()
+  })
+
+  it('throw an error when error policy is not valid', () => {
+    expect.assertions(1)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    expect(() =>
+      middleware({ errorPolicy: 'ignore' })(request, response, next)
+    ).toThrow('Error policy should be one of: throw, sanitize, drop')
+  })
+
+  it('overwrite repeated measurements by default', () => {
+    expect.assertions(1)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false })(request, response, next)
+
+    request.serverTiming.add('db', 'query', 10)
+    request.serverTiming.add('db', 'query', 20)
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual([
+      'db;desc=query;dur=20'
+    ])
+  })
+
+  it('aggregate repeated measurements into single entry', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({ sendHeaders: false, aggregate: 'average' })(
+      request,
+      response,
+      next
+    )
+
+    request.serverTiming.add('db', 'queries', 10)
+    request.serverTiming.add('db', 'queries', 20)
+    request.serverTiming.add('db', 'queries', 60)
+    request.serverTiming.from('render')
+    request.serverTiming.to('render')
+    request.serverTiming.from('render')
+    request.serverTiming.to('render')
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toContainEqual(
+      'db;desc="queries (3 times)";dur=30'
+    )
+    expect(response.headers['server-timing']).toContainEqual(
+      expect.stringContaining('render;desc="2 times";dur=')
+    )
+  })
+
+  it('report aggregations of repeated measurements as separate entries', () => {
+    expect.assertions(1)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    middleware({
+      sendHeaders: false,
+      aggregate: ['total', 'count', 'average', 'max']
+    })(request, response, next)
+
+    request.serverTiming.add('db', 'queries', 10)
+    request.serverTiming.add('db', 'queries', 20)
+    request.serverTiming.add('db', 'queries', 60)
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toStrictEqual([
+      'db.total;desc=queries;dur=90',
+      'db.count;desc=queries;dur=3',
+      'db.average;desc=queries;dur=30',
+      'db.max;desc=queries;dur=60'
+    ])
+  })
+
+  it('throw an error when aggregation is not valid', () => {
+    expect.assertions(1)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+
+    expect(() =>
+      middleware({ aggregate: ['total', 'median'] })(request, response, next)
+    ).toThrow('Aggregation should be one of: total, count, average, max')
+  })
+
+  it('bind controller to async context of the request', async () => {
+    expect.assertions(3)
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+    let resolveNext
+    const done = new Promise(resolve => {
+      resolveNext = resolve
+    })
+    const next = jest.fn(async () => {
+      expect(middleware.current()).toBe(request.serverTiming)
+      await new Promise(resolve => setTimeout(resolve, 1))
+      expect(middleware.current()).toBe(request.serverTiming)
+      resolveNext()
+    })
+
+    middleware({ sendHeaders: false })(request, response, next)
+    await done
+
+    expect(middleware.current()).toBeUndefined()
+  })
+
+  it('allow record metrics without request object', async () => {
+    expect.assertions(2)
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+    const getUser = middleware.wrap('user', async id => `user-${id}`)
+    let handled
+    const next = () => {
+      handled = (async () => {
+        middleware.from('db', 'fetching data')
+        middleware.to('db')
+        middleware.add('cache', 'cache read', 5)
+        middleware.description('cache', 'cache hit')
+        middleware.duration('cache', 6)
+        middleware.param('cache', 'hit', 1)
+        await middleware.measure('render', Promise.resolve())
+        await getUser(1)
+      })()
+    }
+
+    middleware({ sendHeaders: false })(request, response, next)
+    await handled
+    request.serverTiming.addHeaders(response)
+
+    expect(response.headers['server-timing']).toHaveLength(4)
+    expect(response.headers['server-timing']).toContainEqual(
+      'cache;desc="cache hit";dur=6;hit=1'
+    )
+  })
+
+  it('check names of wrapped functions with error policy of the request', async () => {
+    expect.assertions(3)
+    const request = new Request()
+    request.header = modernChrome
+    const response = new Response()
+    const getUser = middleware.wrap('user lookup', async id => `user-${id}`)
+    let handled
+    const next = () => {
+      handled = getUser(1)
+    }
+
+    middleware({ sendHeaders: false, errorPolicy: 'sanitize', onError: () => {} })(request, response, next)
+
+    expect(await handled).toBe('user-1')
+    expect(Object.keys(request.serverTiming.metrics)).toStrictEqual(['user_lookup'])
+    expect(() => middleware.wrap('user lookup', () => {})).not.toThrow()
+  })
+
+  it('do nothing outside of the request', async () => {
+    expect.assertions(4)
+    const getUser = middleware.wrap('user', async id => `user-${id}`)
+
+    expect(() => middleware.from('db')).not.toThrow()
+    expect(middleware.measure('db', () => 42)).toBe(42)
+    expect(await middleware.measure('db', 'query', Promise.resolve(1))).toBe(1)
+    expect(await getUser(1)).toBe('user-1')
+  })
+
+  it('send headers only to requests allowed by expose policy', () => {
+    expect.assertions(3)
+    const next = jest.fn()
+    const isExposed = jest.fn(request => request.ip === '127.0.0.1')
+    const allowed = new Request()
+    allowed.header = modernChrome
+    allowed.ip = '127.0.0.1'
+    const denied = new Request()
+    denied.header = modernChrome
+    denied.ip = '203.0.113.7'
+
+    middleware({ expose: isExposed })(allowed, new Response(), next)
+    middleware({ expose: isExposed })(denied, new Response(), next)
+
+    expect(isExposed).toHaveBeenCalledWith(allowed)
+    expect(allowed.serverTiming.sendHeaders).toBe(true)
+    expect(denied.serverTiming.sendHeaders).toBe(false)
+  })
+
+  it('send timing allow origin only with exposed headers', async () => {
+    expect.assertions(3)
+    const options = {
+      expose: { header: 'x-rum' },
+      timingAllowOrigin: ['https://example.com', 'https://admin.example.com']
+    }
+    const server = await serve(options, (request, response) => {
+      request.serverTiming.add('db', 'query', 1)
+      response.end('ok')
+    })
+    const own = await serve(options, (request, response) => {
+      response.setHeader('Timing-Allow-Origin', '*')
+      response.end('ok')
+    })
+
+    const exposed = await get(server, { headers: { 'x-rum': '1' } })
+    const hidden = await get(server)
+    const kept = await get(own, { 'x-rum': '1' })
+    server.close()
+    own.close()
+
+    expect(exposed.headers['timing-allow-origin']).toBe(
+      'https://example.com, https://admin.example.com'
+    )
+    expect(hidden.headers).not.toHaveProperty('timing-allow-origin')
+    expect(kept.headers['timing-allow-origin']).toBe('*')
+  })
+
+  it('collect metrics when headers are not exposed', () => {
+    expect.assertions(2)
+    const next = jest.fn()
+    const request = new Request()
+    request.header = modernChrome
+    request.ip = '203.0.113.7'
+    const response = new Response()
+
+    middleware({ expose: { ips: ['10.0.0.0/8'] } })(request, response, next)
+
+    request.serverTiming.add('db', 'query', 10)
+
+    expect(request.serverTiming.sendHeaders).toBe(false)
+    expect(request.serverTiming.metrics).toHaveProperty('db')
+  })
+
+  describe('with trailers option', () => {
+    let server
+
+    afterEach(done => {
+      server.close(done)
+    })
+
+    it('send metrics as trailer for streamed response', async () => {
+      expect.assertions(3)
+      server = await serve({ trailers: true }, (request, response) => {
+        request.serverTiming.from('stream')
+        response.write('first chunk')
+        setTimeout(() => {
+          request.serverTiming.to('stream')
+          response.end('last chunk')
+        }, 5)
+      })
+
+      const response = await get(server, { headers: { te: 'trailers' } })
+
+      expect(response.headers.trailer).toBe('server-timing')
+      expect(response.headers).not.toHaveProperty('server-timing')
+      expect(response.trailers['server-timing']).toStrictEqual(
+        expect.stringMatching(/^stream;dur=[\d.]+$/)
+      )
+    })
+
+    it('send metrics as header if client does not accept trailers', async () => {
+      expect.assertions(3)
+      server = await serve({ trailers: true }, (request, response) => {
+        request.serverTiming.add('stream', 'streaming', 5)
+        response.write('first chunk')
+        response.end('last chunk')
+      })
+
+      const response = await get(server)
+
+      expect(response.headers).not.toHaveProperty('trailer')
+      expect(response.headers['server-timing']).toBe(
+        'stream;desc=streaming;dur=5'
+      )
+      expect(response.trailers).not.toHaveProperty('server-timing')
+    })
+
+    it('send metrics as header if response is not streamed', async () => {
+      expect.assertions(3)
+      server = await serve({ trailers: true }, (request, response) => {
+        request.serverTiming.add('render', 'rendering', 5)
+        response.end('whole body')
+      })
+
+      const response = await get(server, { headers: { te: 'trailers' } })
+
+      expect(response.headers).not.toHaveProperty('trailer')
+      expect(response.headers['server-timing']).toBe(
+        'render;desc=rendering;dur=5'
+      )
+      expect(response.trailers).not.toHaveProperty('server-timing')
+    })
+
+    it('add built-in time to headers and queue time metrics', async () => {
+      expect.assertions(1)
+      server = await serve({ builtins: { total: true, queue: true } }, (request, response) => {
+        response.end('whole body')
+      })
+
+      const response = await get(server, {
+        headers: { 'x-request-start': `t=${(Date.now() - 50) / 1000}` }
+      })
+
+      expect(response.headers['server-timing']).toStrictEqual(
+        expect.stringMatching(
+          /^queue;desc=queue;dur=[\d.]+, total;desc="time to headers";dur=[\d.]+$/
+        )
+      )
+    })
+
+    it('read queue time from configured header in milliseconds', async () => {
+      expect.assertions(1)
+      let duration
+      server = await serve({ builtins: { queue: 'x-queue-start' } }, (request, response) => {
+        duration = request.serverTiming.metrics.queue.duration
+        response.end('whole body')
+      })
+
+      await get(server, { headers: { 'x-queue-start': String(Date.now() - 50) } })
+
+      expect(duration).toBeGreaterThanOrEqual(50)
+    })
+
+    it('add request id from header or random id', async () => {
+      expect.assertions(2)
+      server = await serve({ builtins: { requestId: true } }, (request, response) => {
+        response.end('whole body')
+      })
+
+      const forwarded = await get(server, { headers: { 'x-request-id': 'abc-123' } })
+      const generated = await get(server)
+
+      expect(forwarded.headers['server-timing']).toBe('request-id;desc=abc-123;dur=0')
+      expect(generated.headers['server-timing']).toStrictEqual(
+        expect.stringMatching(/^request-id;desc=[\da-f-]{36};dur=0$/)
+      )
+    })
+
+    it('skip queue time if header is not valid or from the future', async () => {
+      expect.assertions(2)
+      server = await serve({ builtins: { queue: true } }, (request, response) => {
+        response.end('whole body')
+      })
+
+      const invalid = await get(server, { headers: { 'x-request-start': 'yesterday' } })
+      const future = await get(server, {
+        headers: { 'x-request-start': `t=${Date.now() * 1000 + 6e7}` }
+      })
+
+      expect(invalid.headers).not.toHaveProperty('server-timing')
+      expect(future.headers).not.toHaveProperty('server-timing')
+    })
+
+    it('send time from headers to the end of streamed response as trailer', async () => {
+      expect.assertions(1)
+      server = await serve(
+        { trailers: true, builtins: { total: true, response: true } },
+        (request, response) => {
+          response.write('first chunk')
+          setTimeout(() => response.end('last chunk'), 5)
+        }
+      )
+
+      const response = await get(server, { headers: { te: 'trailers' } })
+
+      expect(response.trailers['server-timing']).toStrictEqual(
+        expect.stringMatching(
+          /^total;desc="time to headers";dur=[\d.]+, response;desc="headers to finish";dur=[\d.]+$/
+        )
+      )
+    })
+
+    it('report time from headers to finish', async () => {
+      expect.assertions(1)
+      const metrics = await new Promise(resolve => {
+        serve(
+          {
+            sendHeaders: false,
+            builtins: { response: true },
+            reporters: [{ report: resolve }]
+          },
+          (request, response) => response.end('whole body')
+        ).then(listening => {
+          server = listening
+          return get(server)
+        })
+      })
+
+      expect(metrics).toStrictEqual([
+        { name: 'response', description: 'headers to finish', duration: expect.any(Number) }
+      ])
+    })
+  })
 })
@@ -0,0 +1,163 @@
+const { ServerTiming } = require('./server-timing')
+
+const ERROR_HANDLER_ARITY = 4
+const HOOK_NAME = 'instrumentLimit'
+
+/**
+ * Convert function name or route path to valid metric name,
+ * dots are replaced too, so layer metrics are not confused with nested metrics
+ * @private
+ * @param {string} name — function name or route path
+ * @param {string} fallback — name used if nothing is left
+ * @return {string} — metric name
+ */
+function metricName (name, fallback) {
+  return ServerTiming.sanitizeName(name, { dots: false, trim: true, fallback })
+}
+
+/**
+ * Create matcher for layer names
+ * @private
+ * @param {RegExp|string|function} pattern — pattern, exact name or predicate that receive name and layer
+ * @return {function} — function that receive name and layer and return boolean
+ */
+function layerMatcher (pattern) {
+  if (typeof pattern === 'function') return pattern
+  if (pattern instanceof RegExp) return name => pattern.test(name)
+  return name => name === pattern
+}
+
+/**
+ * Describe express.js layer: route layers are named after route path,
+ * other layers are named after middleware function
+ * @private
+ * @param {object} layer — express.js router layer
+ * @return {object} — metric name and description
+ */
+function describeLayer (layer) {
+  if (layer.route) {
+    const path = String(layer.route.path)
+    const methods = Object.keys(layer.route.methods)
+      .map(method => (method === '_all' ? 'ALL' : method.toUpperCase()))
+      .join(',')
+    return {
+      name: metricName(path, 'root'),
+      description: `${methods} ${path}`.trim()
+    }
+  }
+  return {
+    name: metricName(layer.name.replace(/^bound /, ''), 'anonymous'),
+    description: 'middleware'
+  }
+}
+
+/**
+ * Find all layers of the router and nested routers, that may be measured
+ * @private
+ * @param {object[]} stack — express.js router stack
+ * @return {object[]} — list of layers
+ */
+function collectLayers (stack) {
+  return stack.reduce((layers, layer) => {
+    // Time of nested router is the time of its layers
+    if (!layer.route && Array.isArray(layer.handle.stack)) {
+      return [...layers, ...collectLayers(layer.handle.stack)]
+    }
+    // Error handlers are called only on errors and have different signature
+    if (layer.handle.length >= ERROR_HANDLER_ARITY) return layers
+    return [...layers, layer]
+  }, [])
+}
+
+/**
+ * Create hook that keep only the slowest layer metrics
+ * @private
+ * @param {ServerTiming} serverTiming — server timing controller
+ * @param {Set<string>} names — names of layer metrics
+ * @param {number} limit — maximum number of layer metrics
+ * @return {function} — hook
+ */
+function limitHook (serverTiming, names, limit) {
+  const isLayer = path => names.has(path.slice(path.lastIndexOf('.') + 1))
+  return metrics => {
+    const layers = Object.keys(metrics).filter(isLayer)
+    if (layers.length <= limit) return metrics
+    const slowest = layers
+      .sort((a, b) => serverTiming.elapsed(metrics[b]) - serverTiming.elapsed(metrics[a]))
+      .slice(0, limit)
+    return Object.fromEntries(
+      Object.entries(metrics).filter(
+        ([path]) => !isLayer(path) || slowest.includes(path)
+      )
+    )
+  }
+}
+
+/**
+ * Instrument express.js application or router, so each middleware and route handler
+ * become a metric, named after the function or route path.
+ * Middleware is measured until it call next, route handler — until headers are sent.
+ * Layers should be added before instrumentation, only layers after server timing middleware are measured
+ * @public
+ * @param {object} app — express.js application or router
+ * @param {object} [options] — instrumentation options
+ * @param {RegExp|string|function} [options.include] — layers that should be measured: pattern, exact metric name or predicate that receive metric name and layer, all layers are measured by default
+ * @param {RegExp|string|function} [options.exclude] — layers that should not be measured: pattern, exact metric name or predicate that receive metric name and layer
+ * @param {number} [options.limit=10] — maximum number of layer metrics in the response, the slowest are kept
+ * @return {object} — the same application or router
+ * @example <caption>Measure all middleware and routes</caption>
+ * const express = require('express');
+ * const serverTimingMiddleware = require('server-timing-header');
+ * const app = express();
+ * app.use(serverTimingMiddleware());
+ * app.use(express.json());
+ * app.get('/users/:id', getUser);
+ * serverTimingMiddleware.instrument(app, { exclude: /^(query|expressInit)$/, limit: 5 });
+ * // Server-Timing: jsonParser;desc=middleware;dur=0.2, users_id;desc="GET /users/:id";dur=24.5
+ */
+function instrument (app, { include, exclude, limit = 10 } = {}) {
+  const router = Array.isArray(app.stack) ? app : app._router || app.router
+  if (!router) return app
+  const isIncluded = include ? layerMatcher(include) : () => true
+  const isExcluded = exclude ? layerMatcher(exclude) : () => false
+  const names = new Set()
+  const limited = new WeakSet()
+
+  collectLayers(router.stack).forEach(layer => {
+    const { name: baseName, description } = describeLayer(layer)
+    if (!isIncluded(baseName, layer) || isExcluded(baseName, layer)) return
+    // Different layers may have the same name, like anonymous functions
+    let name = baseName
+    for (let index = 2; names.has(name); index += 1) {
+      name = `${baseName}_${index}`
+    }
+    names.add(name)
+
+    const handle = layer.handle
+    layer.handle = function instrumented (request, response, next) {
+      const { serverTiming } = request
+      // Layers before server timing middleware are not measured
+      if (!serverTiming) return handle.call(this, request, response, next)
+      if (!limited.has(serverTiming)) {
+        limited.add(serverTiming)
+        serverTiming.addHook(HOOK_NAME, limitHook(serverTiming, names, limit))
+      }
+      serverTiming.from(name, description)
+      let done = false
+      return handle.call(this, request, response, (...args) => {
+        // Metric may be already sent with headers
+        const path = serverTiming.resolve(name)
+        if (!done && typeof serverTiming.metrics[path] !== 'undefined') {
+          serverTiming.to(path)
+        }
+        done = true
+        return next(...args)
+      })
+    }
+  })
+  return app
+}
+
+module.exports = {
+  instrument
+}
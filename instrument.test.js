@@ -0,0 +1,108 @@
+const express = require('express')
+const serverTimingMiddleware = require('./index.js')
+const { instrument } = require('./instrument.js')
+const { listen, get } = require('./test-helpers.js')
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+const names = header => header.split(', ').map(entry => entry.split(';')[0])
+
+describe('express instrumentation should', () => {
+  let server
+
+  afterEach(done => {
+    server.close(done)
+  })
+
+  it('measure middleware and route handlers after server timing middleware', async () => {
+    expect.assertions(2)
+    const app = express()
+    app.use(serverTimingMiddleware())
+    app.use(function auth (req, res, next) {
+      delay(5).then(() => next())
+    })
+    app.get('/users/:id', async (req, res) => {
+      await delay(5)
+      res.send('user')
+    })
+    instrument(app)
+    server = await listen(app)
+
+    const response = await get(server, { path: '/users/1' })
+
+    expect(names(response.headers['server-timing'])).toStrictEqual([
+      'auth',
+      'users_id'
+    ])
+    expect(response.headers['server-timing']).toStrictEqual(
+      expect.stringMatching(
+        /^auth;desc=middleware;dur=[\d.]+, users_id;desc="GET \/users\/:id";dur=[\d.]+$/
+      )
+    )
+  })
+
+  it('measure layers of nested routers and give unique names', async () => {
+    expect.assertions(1)
+    const app = express()
+    const router = express.Router()
+    app.use(serverTimingMiddleware())
+    app.use((req, res, next) => next())
+    router.use((req, res, next) => next())
+    router.get('/', (req, res) => res.send('index'))
+    app.use('/api', router)
+    instrument(app)
+    server = await listen(app)
+
+    const response = await get(server, { path: '/api' })
+
+    expect(names(response.headers['server-timing'])).toStrictEqual([
+      'anonymous',
+      'anonymous_2',
+      'root'
+    ])
+  })
+
+  it('filter layers with include and exclude options', async () => {
+    expect.assertions(1)
+    const app = express()
+    app.use(serverTimingMiddleware())
+    app.use(function session (req, res, next) { next() })
+    app.use(function auth (req, res, next) { next() })
+    app.use(function csrf (req, res, next) { next() })
+    app.get('/', (req, res) => res.send('index'))
+    instrument(app, { include: /^(session|auth|csrf)$/, exclude: 'auth' })
+    server = await listen(app)
+
+    const response = await get(server)
+
+    expect(names(response.headers['server-timing'])).toStrictEqual([
+      'session',
+      'csrf'
+    ])
+  })
+
+  it('keep only the slowest layers', async () => {
+    expect.assertions(1)
+    const app = express()
+    app.use(serverTimingMiddleware())
+    app.use(function fast (req, res, next) { next() })
+    app.use(function slow (req, res, next) {
+      delay(10).then(() => next())
+    })
+    app.get('/', async (req, res) => {
+      req.serverTiming.add('db', 'query', 1)
+      await delay(5)
+      res.send('index')
+    })
+    instrument(app, { limit: 2 })
+    server = await listen(app)
+
+    const response = await get(server)
+
+    expect(names(response.headers['server-timing'])).toStrictEqual([
+      'slow',
+      'root',
+      'db'
+    ])
+  })
+})
@@ -0,0 +1,45 @@
+const { ServerTiming, requestInfo, tracker } = require('./server-timing')
+const context = require('./context')
+
+/**
+ * Koa middleware add serverTiming to ctx.state and
+ * make sure that we will send this headers before koa finish request
+ * @exports serverTimingKoaMiddleware
+ * @param {object} [options] — middleware options, the same as for express.js middleware
+ * @return {function} - return koa middleware
+ * @example <caption>How to add koa middleware</caption>
+ * const Koa = require('koa');
+ * const serverTimingMiddleware = require('server-timing-header/koa');
+ * const port = 3000;
+ * const app = new Koa();
+ * app.use(serverTimingMiddleware());
+ * app.use(async (ctx) => {
+ *   ctx.state.serverTiming.from('db');
+ *   // fetching data from database
+ *   ctx.state.serverTiming.to('db');
+ * });
+ * app.listen(port, () => console.log(`Example app listening on port ${port}!`));
+ */
+module.exports = (options = {}) => {
+  const track = tracker(options)
+
+  function serverTimingMiddleware (ctx, next) {
+    // Adding controller to koa state
+    const serverTiming = track(ctx.res, {
+      ...requestInfo(ctx.req),
+      request: ctx,
+      url: ctx.originalUrl,
+      // Route is known only after request was routed by koa-router
+      route: () => ctx._matchedRoute,
+      ip: ctx.ip
+    })
+    ctx.state.serverTiming = serverTiming
+
+    // Controller is available in the async context of the request
+    return context.run(serverTiming, next)
+  }
+
+  return serverTimingMiddleware
+}
+
+module.exports.ServerTiming = ServerTiming
@@ -0,0 +1,152 @@
+const api = require('@opentelemetry/api')
+const context = require('./context')
+const { ServerTiming } = require('./server-timing')
+
+const TRACEPARENT = 'traceparent'
+const BRIDGE_ATTRIBUTE = 'server_timing.bridge'
+const DESCRIPTION_ATTRIBUTE = 'server_timing.description'
+const PARAM_ATTRIBUTE = 'server_timing.param'
+
+/**
+ * Create matcher for span names
+ * @private
+ * @param {RegExp|string|function} [include] — pattern, exact name or predicate that receive span
+ * @return {function} — function that receive span and return boolean
+ */
+function spanMatcher (include) {
+  if (typeof include === 'function') return include
+  if (include instanceof RegExp) return ({ name }) => include.test(name)
+  if (typeof include === 'string') return ({ name }) => name === include
+  return () => false
+}
+
+/**
+ * Create bridge between server timing and OpenTelemetry.
+ * Bridge is a reporter, that turn metrics into child spans of the request span
+ * and add traceparent entry, and a span processor, that add finished spans to metrics
+ * @public
+ * @param {object} [options] — bridge options
+ * @param {object} [options.tracer] — tracer that is used to create spans
+ * @param {boolean} [options.spans=true] — create child span of the request span for each metric
+ * @param {boolean} [options.traceparent=true] — add traceparent entry with trace and span ids of the request span
+ * @param {RegExp|string|function} [options.include] — spans that should be added to metrics: pattern, exact name or predicate
+ * @return {object} — reporter and span processor
+ * @example <caption>Mirror metrics as spans and spans as metrics</caption>
+ * const express = require('express');
+ * const serverTimingMiddleware = require('server-timing-header');
+ * const { openTelemetryBridge } = require('server-timing-header/opentelemetry');
+ * const bridge = openTelemetryBridge({ include: /^pg\./ });
+ * tracerProvider.addSpanProcessor(bridge);
+ * const app = express();
+ * app.use(serverTimingMiddleware({ reporters: [bridge] }));
+ */
+function openTelemetryBridge ({
+  tracer = api.trace.getTracer('server-timing-header'),
+  spans = true,
+  traceparent = true,
+  include
+} = {}) {
+  const isIncluded = spanMatcher(include)
+  const parents = new WeakMap()
+
+  return {
+    /**
+     * Remember context of the request span and add traceparent entry
+     * @param {ServerTiming} serverTiming — server timing controller
+     */
+    start (serverTiming) {
+      const parent = api.context.active()
+      parents.set(serverTiming, parent)
+      const spanContext = api.trace.getSpanContext(parent)
+      if (traceparent && spanContext && api.isSpanContextValid(spanContext)) {
+        const flags = `0${spanContext.traceFlags.toString(16)}`.slice(-2)
+        serverTiming.add(
+          TRACEPARENT,
+          `00-${spanContext.traceId}-${spanContext.spanId}-${flags}`,
+          0
+        )
+      }
+    },
+
+    /**
+     * Create child span of the request span for each metric
+     * @param {object[]} metrics — finalized metrics
+     * @param {object} request — request information
+     * @param {ServerTiming} serverTiming — server timing controller
+     */
+    report (metrics, request, serverTiming) {
+      if (!spans) return
+      const parent = parents.get(serverTiming) || api.context.active()
+      const finished = request.timestamp + request.duration
+      const contexts = {}
+      metrics
+        .filter(({ name }) => name !== TRACEPARENT)
+        .forEach(({ name, description, duration, start, end, parent: parentName, params = {} }) => {
+          const hasTime = typeof start !== 'undefined'
+          const spanParent = contexts[parentName] || parent
+          const span = tracer.startSpan(
+            name,
+            {
+              startTime: hasTime ? request.timestamp + start : finished - duration,
+              attributes: {
+                [BRIDGE_ATTRIBUTE]: true,
+                ...(typeof description !== 'undefined' && {
+                  [DESCRIPTION_ATTRIBUTE]: description
+                }),
+                ...Object.fromEntries(
+                  Object.entries(params).map(([key, value]) => [
+                    `${PARAM_ATTRIBUTE}.${key}`,
+                    value
+                  ])
+                )
+              }
+            },
+            spanParent
+          )
+          contexts[name] = api.trace.setSpan(spanParent, span)
+          span.end(hasTime ? request.timestamp + end : finished)
+        })
+    },
+
+    /**
+     * Span processor interface, nothing to do when span is started
+     */
+    onStart () {},
+
+    /**
+     * Add finished span to metrics of the current request if it match include option
+     * @param {object} span — finished span
+     */
+    onEnd (span) {
+      const serverTiming = context.current()
+      if (!serverTiming || span.attributes[BRIDGE_ATTRIBUTE]) return
+      if (!isIncluded(span)) return
+      const [seconds, nanoseconds] = span.duration
+      serverTiming.add(
+        ServerTiming.sanitizeName(span.name),
+        span.name,
+        seconds * 1e3 + nanoseconds / 1e6
+      )
+    },
+
+    /**
+     * Span processor interface, nothing is buffered
+     * @return {Promise} — resolved promise
+     */
+    forceFlush () {
+      return Promise.resolve()
+    },
+
+    /**
+     * Span processor interface, nothing is buffered
+     * @return {Promise} — resolved promise
+     */
+    shutdown () {
+      return Promise.resolve()
+    }
+  }
+}
+
+module.exports = {
+  openTelemetryBridge
+}
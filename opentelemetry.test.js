@@ -0,0 +1,185 @@
+const api = require('@opentelemetry/api')
+const {
+  AsyncLocalStorageContextManager
+} = require('@opentelemetry/context-async-hooks')
+const {
+  BasicTracerProvider,
+  InMemorySpanExporter,
+  SimpleSpanProcessor
+} = require('@opentelemetry/sdk-trace-base')
+
+const httpHandler = require('./http.js')
+const { openTelemetryBridge } = require('./opentelemetry.js')
+const { listen, get } = require('./test-helpers.js')
+
+const contextManager = new AsyncLocalStorageContextManager()
+
+// Request span is created the same way as http instrumentation do it
+const serve = (provider, options, handler) => {
+  const tracer = provider.getTracer('http')
+  const timingHandler = httpHandler(handler, options)
+  return listen((request, response) => {
+    const span = tracer.startSpan('GET /')
+    response.once('finish', () => span.end())
+    api.context.with(api.trace.setSpan(api.context.active(), span), () =>
+      timingHandler(request, response)
+    )
+  })
+}
+
+const spansReported = exporter =>
+  new Promise(resolve => {
+    const check = () => {
+      const names = exporter.getFinishedSpans().map(({ name }) => name)
+      if (names.includes('GET /') && names.length > 1) return resolve()
+      setTimeout(check, 5)
+    }
+    check()
+  })
+
+describe('OpenTelemetry bridge should', () => {
+  let server
+  let exporter
+  let provider
+
+  beforeAll(() => {
+    api.context.setGlobalContextManager(contextManager.enable())
+  })
+
+  afterAll(() => {
+    contextManager.disable()
+    api.context.disable()
+  })
+
+  beforeEach(() => {
+    exporter = new InMemorySpanExporter()
+    provider = new BasicTracerProvider()
+    provider.addSpanProcessor(new SimpleSpanProcessor(exporter))
+  })
+
+  afterEach(done => {
+    server.close(done)
+  })
+
+  it('create child spans of the request span for metrics', async () => {
+    expect.assertions(6)
+    const bridge = openTelemetryBridge({
+      tracer: provider.getTracer('server-timing-header'),
+      traceparent: false
+    })
+    server = await serve(
+      provider,
+      { reporters: [bridge], nested: true },
+      (request, response) => {
+        request.serverTiming.from('render', 'rendering')
+        request.serverTiming.from('data')
+        request.serverTiming.to('data')
+        request.serverTiming.to('render')
+        request.serverTiming.add('cache', 'cache read', 5, {
+          params: { hit: true }
+        })
+        response.end('body')
+      }
+    )
+
+    await get(server)
+    await spansReported(exporter)
+    const spans = exporter.getFinishedSpans()
+    const byName = name => spans.find(span => span.name === name)
+    const requestSpan = byName('GET /')
+
+    expect(spans.map(({ name }) => name).sort()).toStrictEqual([
+      'GET /',
+      'cache',
+      'render',
+      'render.data'
+    ])
+    expect(byName('render').parentSpanId).toBe(requestSpan.spanContext().spanId)
+    expect(byName('render.data').parentSpanId).toBe(
+      byName('render').spanContext().spanId
+    )
+    expect(byName('render').attributes).toStrictEqual({
+      'server_timing.bridge': true,
+      'server_timing.description': 'rendering'
+    })
+    expect(byName('cache').duration).toStrictEqual([0, 5000000])
+    expect(byName('cache').attributes).toStrictEqual({
+      'server_timing.bridge': true,
+      'server_timing.description': 'cache read',
+      'server_timing.param.hit': true
+    })
+  })
+
+  it('add traceparent entry of the request span', async () => {
+    expect.assertions(1)
+    const bridge = openTelemetryBridge({
+      tracer: provider.getTracer('server-timing-header'),
+      spans: false
+    })
+    let traceparent
+    server = await serve(
+      provider,
+      { reporters: [bridge] },
+      (request, response) => {
+        const { traceId, spanId } = api.trace.getActiveSpan().spanContext()
+        traceparent = `00-${traceId}-${spanId}-01`
+        response.end('body')
+      }
+    )
+
+    const response = await get(server)
+
+    expect(response.headers['server-timing']).toBe(
+      `traceparent;desc=${traceparent};dur=0`
+    )
+  })
+
+  it('add finished spans that match pattern to metrics', async () => {
+    expect.assertions(1)
+    const bridge = openTelemetryBridge({
+      tracer: provider.getTracer('server-timing-header'),
+      spans: false,
+      traceparent: false,
+      include: /^pg\./
+    })
+    provider.addSpanProcessor(bridge)
+    const tracer = provider.getTracer('pg')
+    server = await serve(
+      provider,
+      { reporters: [bridge] },
+      (request, response) => {
+        tracer.startSpan('pg.query SELECT').end()
+        tracer.startSpan('redis GET').end()
+        response.end('body')
+      }
+    )
+
+    const response = await get(server)
+
+    expect(response.headers['server-timing']).toStrictEqual(
+      expect.stringMatching(
+        /^pg\.query_SELECT;desc="pg\.query SELECT";dur=[\d.]+$/
+      )
+    )
+  })
+})
+
+describe('OpenTelemetry span processor should', () => {
+  it('ignore spans outside of the request', () => {
+    expect.assertions(1)
+    const bridge = openTelemetryBridge({ include: () => true })
+    const span = { name: 'pg.query', attributes: {}, duration: [0, 1000] }
+
+    expect(() => bridge.onEnd(span)).not.toThrow()
+  })
+
+  it('implement span processor interface', async () => {
+    expect.assertions(2)
+    const bridge = openTelemetryBridge()
+
+    bridge.onStart()
+
+    await expect(bridge.forceFlush()).resolves.toBeUndefined()
+    await expect(bridge.shutdown()).resolves.toBeUndefined()
+  })
+})
@@ -0,0 +1,234 @@
+const diagnosticsChannel = require('diagnostics_channel')
+const context = require('./context')
+const { ServerTiming } = require('./server-timing')
+
+const HTTP_START = 'http.client.request.start'
+const UNDICI_CREATE = 'undici:request:create'
+const UNDICI_HEADERS = 'undici:request:headers'
+const UNDICI_TRAILERS = 'undici:request:trailers'
+const UNDICI_ERROR = 'undici:request:error'
+const ERROR_DESCRIPTION = 'error'
+const HEADER_NAME = 'server-timing'
+
+/**
+ * Convert host to valid metric name
+ * @private
+ * @param {string} host — host of the outgoing request
+ * @return {string} — metric name
+ */
+function metricName (host) {
+  return ServerTiming.sanitizeName(host, { fallback: 'outbound' })
+}
+
+/**
+ * Create function that choose metric name for the outgoing request
+ * @private
+ * @param {function|object} [name] — function that receive URL and return metric name or map of hosts to metric names
+ * @return {function} — function that receive URL and return metric name
+ */
+function namer (name) {
+  if (typeof name === 'function') return url => name(url) || metricName(url.host)
+  if (name && typeof name === 'object') {
+    return url => name[url.host] || name[url.hostname] || metricName(url.host)
+  }
+  return url => metricName(url.host)
+}
+
+/**
+ * Create measurement of the outgoing request, bound to the current request controller
+ * @private
+ * @param {ServerTiming} serverTiming — controller of the incoming request
+ * @param {string} name — metric name
+ * @param {string} method — method of the outgoing request
+ * @param {boolean} phases — should phases be recorded
+ * @param {boolean} merge — should Server-Timing of the response be imported
+ * @return {object} — functions that read the clock, record phases, import metrics of the response and finish the measurement
+ */
+function measurement (serverTiming, name, method, phases, merge) {
+  const start = serverTiming.now()
+  let finished = false
+  const since = time => ServerTiming.calculateDuration(time, serverTiming.now())
+  // Broken metric should not break the outgoing request
+  const safely = callback => {
+    try {
+      callback()
+    } catch (error) {
+      process.emitWarning(error)
+    }
+  }
+  const add = (metric, description, duration) =>
+    safely(() => serverTiming.add(metric, description, duration))
+
+  return {
+    now: serverTiming.now,
+    phase (phase, from = start) {
+      if (phases && !finished) add(`${name}.${phase}`, phase, since(from))
+    },
+    upstream (header) {
+      if (merge && header) {
+        safely(() => serverTiming.merge(header, { prefix: name, nested: true }))
+      }
+    },
+    finish (status) {
+      if (finished) return
+      finished = true
+      add(name, `${method} ${status}`, since(start))
+    }
+  }
+}
+
+/**
+ * Find header in the list of raw undici headers
+ * @private
+ * @param {Buffer[]} headers — list of header names and values
+ * @param {string} name — header name in lower case
+ * @return {string[]} — values of the header
+ */
+function undiciHeader (headers, name) {
+  const values = []
+  for (let index = 0; index < headers.length; index += 2) {
+    if (String(headers[index]).toLowerCase() === name) {
+      values.push(String(headers[index + 1]))
+    }
+  }
+  return values
+}
+
+/**
+ * Record phases of node.js http request: DNS lookup, TCP connect and TLS handshake
+ * are recorded only for new connections, time to first byte — for every request
+ * @private
+ * @param {object} request — node.js ClientRequest
+ * @param {object} measure — measurement of the request
+ */
+function trackHttp (request, measure) {
+  const onSocket = socket => {
+    // Connection may be reused from the pool of the agent
+    if (!socket.connecting) return
+    let connectStart = measure.now()
+    socket.once('lookup', () => {
+      measure.phase('dns')
+      connectStart = measure.now()
+    })
+    socket.once('connect', () => {
+      measure.phase('connect', connectStart)
+      const tlsStart = measure.now()
+      socket.once('secureConnect', () => measure.phase('tls', tlsStart))
+    })
+  }
+  // Socket may be already assigned when request is started
+  if (request.socket) {
+    onSocket(request.socket)
+  } else {
+    request.once('socket', onSocket)
+  }
+  let responded = false
+  request.once('response', response => {
+    responded = true
+    measure.phase('ttfb')
+    measure.upstream(response.headers[HEADER_NAME])
+    response.once('end', () => measure.finish(response.statusCode))
+    response.once('close', () => measure.finish(response.statusCode))
+  })
+  request.once('error', () => measure.finish(ERROR_DESCRIPTION))
+  // Request is closed without response when it is aborted
+  request.once('close', () => {
+    if (!responded) measure.finish(ERROR_DESCRIPTION)
+  })
+}
+
+/**
+ * Record outgoing requests made with http, https, undici and global fetch
+ * as metrics of the current incoming request. Requests made outside of
+ * incoming request are ignored. Metric is named after host of the outgoing
+ * request and described with method and status, like `GET 200`.
+ * Phases are recorded as separate metrics, like `api.example.com.ttfb`,
+ * DNS lookup, connect and TLS handshake are available only for http and https
+ * @public
+ * @param {object} [options] — instrumentation options
+ * @param {function|object} [options.name] — function that receive URL and return metric name or map of hosts to metric names
+ * @param {boolean} [options.phases=true] — record DNS lookup, connect, TLS handshake and time to first byte
+ * @param {boolean} [options.http=true] — record requests made with http and https modules
+ * @param {boolean} [options.fetch=true] — record requests made with undici and global fetch
+ * @param {boolean} [options.merge=false] — import metrics from Server-Timing header of the response as children of the request metric
+ * @return {function} — function that stop recording
+ * @example <caption>Record requests to downstream services</caption>
+ * const serverTiming = require('server-timing-header');
+ * serverTiming.instrumentOutbound({ name: { 'users.internal:8080': 'users' } });
+ * app.use(serverTiming());
+ * app.get('/', async (req, res) => {
+ *   await fetch('http://users.internal:8080/users/1');
+ *   // Server-Timing: users.ttfb;desc=ttfb;dur=11, users;desc="GET 200";dur=12.5
+ * });
+ */
+function instrumentOutbound ({
+  name,
+  phases = true,
+  http = true,
+  fetch = true,
+  merge = false
+} = {}) {
+  const nameOf = namer(name)
+  const requests = new WeakMap()
+  const subscriptions = []
+
+  const subscribe = (channel, listener) => {
+    diagnosticsChannel.subscribe(channel, listener)
+    subscriptions.push([channel, listener])
+  }
+
+  // URL is built only for requests made inside of incoming request
+  const start = (getUrl, method) => {
+    const serverTiming = context.current()
+    if (!serverTiming) return undefined
+    // Exception in subscriber become uncaught exception, so broken URL or namer is only reported
+    try {
+      return measurement(serverTiming, nameOf(getUrl()), method, phases, merge)
+    } catch (error) {
+      process.emitWarning(error)
+      return undefined
+    }
+  }
+
+  if (http) {
+    subscribe(HTTP_START, ({ request }) => {
+      const measure = start(() => {
+        const host = request.getHeader('host') || request.host
+        return new URL(request.path, `${request.protocol}//${host}`)
+      }, request.method)
+      if (measure) trackHttp(request, measure)
+    })
+  }
+
+  if (fetch) {
+    subscribe(UNDICI_CREATE, ({ request }) => {
+      const measure = start(() => new URL(request.path, request.origin), request.method)
+      if (measure) requests.set(request, measure)
+    })
+    subscribe(UNDICI_HEADERS, ({ request, response }) => {
+      const measure = requests.get(request)
+      if (!measure) return
+      measure.phase('ttfb')
+      measure.upstream(undiciHeader(response.headers, HEADER_NAME))
+      measure.status = response.statusCode
+    })
+    subscribe(UNDICI_TRAILERS, ({ request }) => {
+      const measure = requests.get(request)
+      if (measure) measure.finish(measure.status)
+    })
+    subscribe(UNDICI_ERROR, ({ request }) => {
+      const measure = requests.get(request)
+      if (measure) measure.finish(ERROR_DESCRIPTION)
+    })
+  }
+
+  return function stop () {
+    subscriptions.forEach(([channel, listener]) => {
+      diagnosticsChannel.unsubscribe(channel, listener)
+    })
+  }
+}
+
+module.exports = {
+  instrumentOutbound
+}
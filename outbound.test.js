@@ -0,0 +1,160 @@
+const webStreams = require('stream/web')
+
+// Jest environment does not expose web streams of node.js, that are required by fetch
+Object.assign(global, webStreams)
+const { fetch } = require('undici')
+const httpHandler = require('./http.js')
+const { instrumentOutbound } = require('./outbound.js')
+const { listen, get } = require('./test-helpers.js')
+
+// undici is a development dependency and require Node.js 18, middleware itself does not
+const withUndici = Number(process.versions.node.split('.')[0]) >= 18 ? it : it.skip
+
+describe('outbound instrumentation should', () => {
+  let downstream
+  let upstream
+  let stop
+  let downstreamUrl
+
+  beforeAll(async () => {
+    downstream = await listen((request, response) => {
+      response.statusCode = request.url === '/missing' ? 404 : 200
+      response.setHeader('server-timing', 'db;desc=query;dur=3')
+      setTimeout(() => response.end('downstream'), 5)
+    })
+    downstreamUrl = `http://localhost:${downstream.address().port}`
+  })
+
+  afterAll(done => {
+    downstream.close(done)
+  })
+
+  afterEach(done => {
+    stop()
+    upstream.close(done)
+  })
+
+  const serve = async (options, callDownstream) => {
+    stop = instrumentOutbound(options)
+    upstream = await listen(
+      httpHandler(async (request, response) => {
+        await callDownstream()
+        response.end('upstream')
+      })
+    )
+    return get(`http://localhost:${upstream.address().port}`)
+  }
+
+  it('record requests made with http module with phases', async () => {
+    expect.assertions(1)
+    const response = await serve({}, () => get(`${downstreamUrl}/missing`))
+
+    const host = `localhost:${downstream.address().port}`.replace(':', '_')
+    expect(response.headers['server-timing']).toStrictEqual(
+      expect.stringMatching(
+        new RegExp(
+          `^${host}.dns;desc=dns;dur=[\\d.]+, ` +
+          `${host}.connect;desc=connect;dur=[\\d.]+, ` +
+          `${host}.ttfb;desc=ttfb;dur=[\\d.]+, ` +
+          `${host};desc="GET 404";dur=[\\d.]+$`
+        )
+      )
+    )
+  })
+
+  withUndici('record requests made with fetch and name them with mapping', async () => {
+    expect.assertions(1)
+    const response = await serve(
+      { name: { [`localhost:${downstream.address().port}`]: 'users' } },
+      async () => {
+        const result = await fetch(`${downstreamUrl}/users`, { method: 'POST' })
+        await result.text()
+      }
+    )
+
+    expect(response.headers['server-timing']).toStrictEqual(
+      expect.stringMatching(
+        /^users\.ttfb;desc=ttfb;dur=[\d.]+, users;desc="POST 200";dur=[\d.]+$/
+      )
+    )
+  })
+
+  it('record only total time if phases are disabled', async () => {
+    expect.assertions(1)
+    const response = await serve(
+      { phases: false, name: url => url.pathname.slice(1) },
+      () => get(`${downstreamUrl}/users`)
+    )
+
+    expect(response.headers['server-timing']).toStrictEqual(
+      expect.stringMatching(/^users;desc="GET 200";dur=[\d.]+$/)
+    )
+  })
+
+  withUndici('import metrics of upstream service as children of the request metric', async () => {
+    expect.assertions(2)
+    const viaHttp = await serve(
+      { phases: false, merge: true, name: () => 'users' },
+      () => get(`${downstreamUrl}/users`)
+    )
+    stop()
+    await new Promise(resolve => upstream.close(resolve))
+    const viaFetch = await serve(
+      { phases: false, merge: true, name: () => 'users' },
+      async () => {
+        const result = await fetch(`${downstreamUrl}/users`)
+        await result.text()
+      }
+    )
+
+    expect(viaHttp.headers['server-timing']).toStrictEqual(
+      expect.stringMatching(/^users\.db;desc=query;dur=3, users;desc="GET 200";dur=[\d.]+$/)
+    )
+    expect(viaFetch.headers['server-timing']).toStrictEqual(
+      expect.stringMatching(/^users\.db;desc=query;dur=3, users;desc="GET 200";dur=[\d.]+$/)
+    )
+  })
+
+  withUndici('record failed requests', async () => {
+    expect.assertions(1)
+    const closed = await listen(() => {})
+    const closedUrl = `http://localhost:${closed.address().port}`
+    await new Promise(resolve => closed.close(resolve))
+
+    const response = await serve({ phases: false, name: () => 'broken' }, () =>
+      fetch(closedUrl).catch(() => {})
+    )
+
+    expect(response.headers['server-timing']).toStrictEqual(
+      expect.stringMatching(/^broken;desc="GET error";dur=[\d.]+$/)
+    )
+  })
+
+  it('report broken naming without breaking the request', async () => {
+    expect.assertions(3)
+    const emitWarning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {})
+    const failure = new Error('Unknown host')
+    const name = () => {
+      throw failure
+    }
+
+    const response = await serve({ name }, () => get(downstreamUrl))
+
+    expect(response.statusCode).toBe(200)
+    expect(response.headers).not.toHaveProperty('server-timing')
+    expect(emitWarning).toHaveBeenCalledWith(failure)
+    emitWarning.mockRestore()
+  })
+
+  it('ignore requests made outside of the request', async () => {
+    expect.assertions(2)
+    const name = jest.fn()
+    stop = instrumentOutbound({ name })
+    upstream = await listen((request, response) => response.end())
+
+    const response = await get(downstreamUrl)
+
+    expect(response.statusCode).toBe(200)
+    expect(name).not.toHaveBeenCalled()
+  })
+})
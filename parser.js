@@ -0,0 +1,210 @@
+const TOKEN = /^[!#$%&'*+\-.^_`|~0-9a-z]+/i
+const SPACES = /^[ \t]*/
+const NUMBER = /^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i
+const KNOWN_PARAMS = ['desc', 'dur']
+
+/**
+ * Read Server-Timing header value into list of entries with parameters,
+ * invalid entries are skipped and described in the list of errors
+ * @private
+ * @see https://w3c.github.io/server-timing/#the-server-timing-header-field
+ * @param {string} value — value of Server-Timing header
+ * @return {object} — entries with name and list of parameters and list of errors
+ */
+function scan (value) {
+  const text = String(value)
+  const entries = []
+  const errors = []
+  let index = 0
+
+  const skipSpaces = () => {
+    index += SPACES.exec(text.slice(index))[0].length
+  }
+  const readToken = () => {
+    const match = TOKEN.exec(text.slice(index))
+    if (!match) return undefined
+    index += match[0].length
+    return match[0]
+  }
+  // Quoted string may contain escaped quotes and backslashes
+  const readQuoted = () => {
+    let result = ''
+    index += 1
+    while (index < text.length) {
+      const char = text[index]
+      if (char === '"') {
+        index += 1
+        return result
+      }
+      if (char === '\\' && index + 1 < text.length) index += 1
+      result += text[index]
+      index += 1
+    }
+    return undefined
+  }
+  // Skip the rest of invalid entry, commas inside of quoted strings are not separators
+  const skipEntry = () => {
+    while (index < text.length && text[index] !== ',') {
+      if (text[index] === '"') {
+        readQuoted()
+      } else {
+        index += 1
+      }
+    }
+  }
+  const readParam = () => {
+    const name = readToken()
+    if (!name) return `Expected parameter name at ${index}`
+    skipSpaces()
+    if (text[index] !== '=') return `Expected "=" after parameter "${name}" at ${index}`
+    index += 1
+    skipSpaces()
+    const start = index
+    const paramValue = text[index] === '"' ? readQuoted() : readToken()
+    if (typeof paramValue === 'undefined') {
+      return text[start] === '"'
+        ? `Quoted string is not closed at ${start}`
+        : `Expected value of parameter "${name}" at ${start}`
+    }
+    // Parameter names are case-insensitive
+    return [name.toLowerCase(), paramValue]
+  }
+
+  while (index < text.length) {
+    skipSpaces()
+    // Empty elements of the list are allowed
+    if (index >= text.length || text[index] === ',') {
+      index += 1
+      continue
+    }
+    const name = readToken()
+    let error = name ? undefined : `Expected metric name at ${index}`
+    const params = []
+    skipSpaces()
+    while (!error && text[index] === ';') {
+      index += 1
+      skipSpaces()
+      const param = readParam()
+      if (typeof param === 'string') {
+        error = param
+      } else {
+        params.push(param)
+        skipSpaces()
+      }
+    }
+    if (!error && index < text.length && text[index] !== ',') {
+      error = `Unexpected character "${text[index]}" at ${index}`
+    }
+    if (error) {
+      errors.push(error)
+      skipEntry()
+    } else {
+      entries.push({ name, params })
+    }
+  }
+  return { entries, errors }
+}
+
+/**
+ * Join list of header values, absent header is an empty value
+ * @private
+ * @param {string|string[]|null} [value] — value of Server-Timing header or list of values, null if header is absent
+ * @return {string} — value of Server-Timing header
+ */
+function join (value) {
+  if (value === null || typeof value === 'undefined') return ''
+  return Array.isArray(value) ? value.join(', ') : String(value)
+}
+
+/**
+ * Find value of the first occurrence of parameter
+ * @private
+ * @param {Array[]} params — list of parameter names and values
+ * @param {string} name — parameter name in lower case
+ * @return {string|undefined} — parameter value
+ */
+function firstParam (params, name) {
+  return (params.find(([paramName]) => paramName === name) || [])[1]
+}
+
+/**
+ * Find index of the first occurrence of parameter
+ * @private
+ * @param {Array[]} params — list of parameter names and values
+ * @param {string} name — parameter name in lower case
+ * @return {number} — index of parameter or -1
+ */
+function firstParamIndex (params, name) {
+  return params.findIndex(([paramName]) => paramName === name)
+}
+
+/**
+ * Parse value of Server-Timing header, invalid entries are skipped.
+ * Only the first occurrence of parameter is used, dur is converted to number,
+ * parameters other than desc and dur are kept in params
+ * @public
+ * @see https://w3c.github.io/server-timing/#the-server-timing-header-field
+ * @param {string|string[]|null} [value] — value of Server-Timing header or list of values, null if header is absent
+ * @return {object[]} — metrics with name, description, duration and other params, absent parameters are undefined
+ * @example <caption>Parse header of upstream service</caption>
+ * const { parse } = require('server-timing-header');
+ * parse('db;desc="User query";dur=12.5, cache;dur=1;hit=true');
+ * // [
+ * //   { name: 'db', description: 'User query', duration: 12.5, params: {} },
+ * //   { name: 'cache', description: undefined, duration: 1, params: { hit: 'true' } }
+ * // ]
+ */
+function parse (value) {
+  return scan(join(value)).entries.map(({ name, params }) => {
+    const duration = firstParam(params, 'dur')
+    return {
+      name,
+      description: firstParam(params, 'desc'),
+      duration: NUMBER.test(duration) ? Number(duration) : undefined,
+      params: Object.fromEntries(
+        params.filter(
+          ([paramName], index) =>
+            !KNOWN_PARAMS.includes(paramName) &&
+            firstParamIndex(params, paramName) === index
+        )
+      )
+    }
+  })
+}
+
+/**
+ * Check value of Server-Timing header and describe what is wrong with it:
+ * syntax errors, durations that are not numbers and repeated parameters,
+ * that are ignored by browsers
+ * @public
+ * @param {string|string[]|null} [value] — value of Server-Timing header or list of values, null if header is absent
+ * @return {string[]} — list of problems, empty if value is valid
+ * @example <caption>Check header in integration test</caption>
+ * const { validate } = require('server-timing-header');
+ * const response = await fetch('http://localhost:3000/');
+ * expect(validate(response.headers.get('server-timing'))).toStrictEqual([]);
+ */
+function validate (value) {
+  const { entries, errors } = scan(join(value))
+  return entries.reduce((problems, { name, params }) => {
+    const duration = firstParam(params, 'dur')
+    if (typeof duration !== 'undefined' && !NUMBER.test(duration)) {
+      problems.push(`Duration of metric "${name}" is not a number: ${duration}`)
+    }
+    params
+      .filter(([paramName], index) => firstParamIndex(params, paramName) !== index)
+      .map(([paramName]) => paramName)
+      .filter((paramName, index, repeated) => repeated.indexOf(paramName) === index)
+      .forEach(paramName => {
+        problems.push(
+          `Parameter "${paramName}" of metric "${name}" is repeated, only the first value is used`
+        )
+      })
+    return problems
+  }, [...errors])
+}
+
+module.exports = {
+  parse,
+  validate
+}
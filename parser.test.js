@@ -0,0 +1,111 @@
+const { parse, validate } = require('./parser.js')
+
+describe('parser should', () => {
+  it('parse entries with description and duration', () => {
+    expect.assertions(1)
+
+    expect(parse('db;desc="User query";dur=12.5, cache;dur=1,miss')).toStrictEqual([
+      { name: 'db', description: 'User query', duration: 12.5, params: {} },
+      { name: 'cache', description: undefined, duration: 1, params: {} },
+      { name: 'miss', description: undefined, duration: undefined, params: {} }
+    ])
+  })
+
+  it('unescape quoted strings and keep commas inside of them', () => {
+    expect.assertions(1)
+
+    expect(parse('db;desc="a \\"b\\", c\\\\d";dur=1')).toStrictEqual([
+      { name: 'db', description: 'a "b", c\\d', duration: 1, params: {} }
+    ])
+  })
+
+  it('use the first occurrence of parameter and ignore case of its name', () => {
+    expect.assertions(1)
+
+    expect(
+      parse('db;DUR=1;dur=2;Desc=first;desc=second;hit=yes;HIT=no')
+    ).toStrictEqual([
+      { name: 'db', description: 'first', duration: 1, params: { hit: 'yes' } }
+    ])
+  })
+
+  it('keep unknown parameters with any names', () => {
+    expect.assertions(1)
+
+    expect(
+      parse('cdn;dur=1;region="eu west";constructor=a;__proto__=b')
+    ).toStrictEqual([
+      {
+        name: 'cdn',
+        description: undefined,
+        duration: 1,
+        params: Object.fromEntries([
+          ['region', 'eu west'],
+          ['constructor', 'a'],
+          ['__proto__', 'b']
+        ])
+      }
+    ])
+  })
+
+  it('skip invalid entries and durations', () => {
+    expect.assertions(1)
+
+    expect(
+      parse('(db);dur=1, cache;dur, ok;dur=3, hex;dur=0x10, broken;desc="not closed, next;dur=4')
+    ).toStrictEqual([
+      { name: 'ok', description: undefined, duration: 3, params: {} },
+      { name: 'hex', description: undefined, duration: undefined, params: {} }
+    ])
+  })
+
+  it('parse list of header values', () => {
+    expect.assertions(1)
+
+    expect(parse(['db;dur=1', 'cache;dur=2e1'])).toStrictEqual([
+      { name: 'db', description: undefined, duration: 1, params: {} },
+      { name: 'cache', description: undefined, duration: 20, params: {} }
+    ])
+  })
+
+  it('treat absent header as empty value', () => {
+    expect.assertions(3)
+
+    expect(parse(null)).toStrictEqual([])
+    expect(parse()).toStrictEqual([])
+    expect(validate(null)).toStrictEqual([])
+  })
+})
+
+describe('validator should', () => {
+  it('accept valid values', () => {
+    expect.assertions(2)
+
+    expect(validate('db;desc="User query";dur=12.5, cache;dur=-1, , miss')).toStrictEqual([])
+    expect(validate('')).toStrictEqual([])
+  })
+
+  it('describe syntax errors', () => {
+    expect.assertions(1)
+
+    expect(
+      validate('(db);dur=1, cache;dur, ok;dur=3 x, db;=1, db;desc="open')
+    ).toStrictEqual([
+      'Expected metric name at 0',
+      'Expected "=" after parameter "dur" at 21',
+      'Unexpected character "x" at 32',
+      'Expected parameter name at 38',
+      'Quoted string is not closed at 50'
+    ])
+  })
+
+  it('describe invalid durations and repeated parameters', () => {
+    expect.assertions(1)
+
+    expect(validate('db;dur=fast, cache;dur=1;dur=2;dur=3;desc=a;DESC=b')).toStrictEqual([
+      'Duration of metric "db" is not a number: fast',
+      'Parameter "dur" of metric "cache" is repeated, only the first value is used',
+      'Parameter "desc" of metric "cache" is repeated, only the first value is used'
+    ])
+  })
+})
@@ -0,0 +1,180 @@
+const crypto = require('crypto')
+const { BlockList, isIPv4, isIPv6 } = require('net')
+
+const INVALID_POLICY = 'Expose policy should be a boolean, a function or an object'
+const INVALID_ORIGINS =
+  'Timing-Allow-Origin should be a boolean, an origin, a list of origins or a function'
+const ANY_ORIGIN = '*'
+const TOKEN_HEADER = 'x-server-timing-token'
+const TOKEN_TTL = 60 * 60 * 1000
+
+/**
+ * Sign payload with secret
+ * @private
+ * @param {string} secret — secret that is used to sign tokens
+ * @param {string} payload — signed data
+ * @return {string} — hex encoded HMAC-SHA256 signature
+ */
+function sign (secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex')
+}
+
+/**
+ * Create signed token that allow client to receive server-timing headers
+ * @public
+ * @param {string} secret — secret that is used to sign tokens
+ * @param {number} [ttl=3600000] — time to live of the token in milliseconds
+ * @return {string} — token in format expires.signature
+ * @example <caption>Create token for developer</caption>
+ * const { createToken } = require('server-timing-header');
+ * // send token in X-Server-Timing-Token header
+ * console.log(createToken(process.env.SERVER_TIMING_SECRET, 24 * 60 * 60 * 1000));
+ */
+function createToken (secret, ttl = TOKEN_TTL) {
+  const expires = String(Date.now() + ttl)
+  return `${expires}.${sign(secret, expires)}`
+}
+
+/**
+ * Check if token is signed with secret and not expired
+ * @private
+ * @param {string} secret — secret that is used to sign tokens
+ * @param {string} [token] — token in format expires.signature
+ * @return {boolean} — is token valid
+ */
+function verifyToken (secret, token) {
+  const [expires, signature = ''] = String(token || '').split('.')
+  if (!/^\d+$/.test(expires) || Number(expires) < Date.now()) return false
+  const expected = Buffer.from(sign(secret, expires))
+  const received = Buffer.from(signature)
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  )
+}
+
+/**
+ * Create rule that allow addresses from the list
+ * @private
+ * @param {string[]} ips — list of IP addresses and CIDR ranges
+ * @return {function} — rule that check IP address of the request
+ */
+function ipRule (ips) {
+  const blockList = new BlockList()
+  ips.forEach(ip => {
+    const [address, prefix] = ip.split('/')
+    const type = isIPv6(address) ? 'ipv6' : 'ipv4'
+    if (typeof prefix === 'undefined') {
+      blockList.addAddress(address, type)
+    } else {
+      blockList.addSubnet(address, parseInt(prefix, 10), type)
+    }
+  })
+  return ({ ip = '' }) => {
+    // IPv4 clients of dual-stack servers have IPv4-mapped IPv6 addresses
+    const address = ip.replace(/^::ffff:(?=[\d.]+$)/i, '')
+    if (isIPv4(address)) return blockList.check(address, 'ipv4')
+    if (isIPv6(address)) return blockList.check(address, 'ipv6')
+    return false
+  }
+}
+
+/**
+ * Create rule that require request header
+ * @private
+ * @param {string|object} header — header name or object with name and expected value
+ * @return {function} — rule that check request header
+ */
+function headerRule (header) {
+  const { name, value } = typeof header === 'string' ? { name: header } : header
+  return request => {
+    const received = request.header(name)
+    return typeof value === 'undefined'
+      ? typeof received !== 'undefined'
+      : received === value
+  }
+}
+
+/**
+ * Create rule that require signed token
+ * @private
+ * @param {object} token — token options
+ * @param {string} token.secret — secret that is used to sign tokens
+ * @param {string} [token.header='x-server-timing-token'] — header that contain token
+ * @return {function} — rule that check token
+ */
+function tokenRule ({ secret, header = TOKEN_HEADER }) {
+  return request => verifyToken(secret, request.header(header))
+}
+
+/**
+ * Create policy that decide if server-timing should be sent for the request
+ * @private
+ * @param {boolean|function|object} [expose=true] — boolean, predicate that receive request object or object with rules, request is allowed if any rule match
+ * @param {string[]} [expose.ips] — list of allowed IP addresses and CIDR ranges
+ * @param {string|object} [expose.header] — name of required header or object with header name and value
+ * @param {object} [expose.token] — options of signed token, see createToken
+ * @param {number} [expose.sampleRate] — part of requests from 0 to 1 that will receive headers
+ * @throw {Error} — throw an error if policy is not valid
+ * @return {function} — function that receive request information and return boolean
+ */
+function createPolicy (expose = true) {
+  if (typeof expose === 'boolean') return () => expose
+  if (typeof expose === 'function') {
+    return ({ request }) => Boolean(expose(request))
+  }
+  if (expose === null || typeof expose !== 'object') {
+    throw new Error(INVALID_POLICY)
+  }
+  const { ips, header, token, sampleRate } = expose
+  const rules = []
+  if (ips) rules.push(ipRule(ips))
+  if (header) rules.push(headerRule(header))
+  if (token) rules.push(tokenRule(token))
+  if (typeof sampleRate === 'number') {
+    rules.push(() => Math.random() < sampleRate)
+  }
+  return request => rules.some(rule => rule(request))
+}
+
+/**
+ * Build value of Timing-Allow-Origin header
+ * @private
+ * @param {boolean|string|string[]} [origins] — true for any origin, origin or list of origins
+ * @return {string|undefined} — header value or undefined if header should not be sent
+ */
+function serializeOrigins (origins) {
+  if (origins === true) return ANY_ORIGIN
+  const list = [].concat(origins || []).filter(Boolean)
+  return list.length > 0 ? list.join(', ') : undefined
+}
+
+/**
+ * Create function that choose Timing-Allow-Origin header for the request.
+ * Header may contain list of origins, so allowlist is sent as is and does not depend on the request
+ * @private
+ * @see https://w3c.github.io/resource-timing/#sec-timing-allow-origin
+ * @param {boolean|string|string[]|function} [origins=false] — true for any origin, origin, list of origins or function that receive request object and return one of them
+ * @throw {Error} — throw an error if origins are not valid
+ * @return {function} — function that receive request information and return header value or undefined
+ */
+function createTimingAllowOrigin (origins = false) {
+  if (typeof origins === 'function') {
+    return ({ request }) => serializeOrigins(origins(request))
+  }
+  if (
+    typeof origins !== 'boolean' &&
+    typeof origins !== 'string' &&
+    !(Array.isArray(origins) && origins.every(origin => typeof origin === 'string'))
+  ) {
+    throw new Error(INVALID_ORIGINS)
+  }
+  const value = serializeOrigins(origins)
+  return () => value
+}
+
+module.exports = {
+  createPolicy,
+  createTimingAllowOrigin,
+  createToken
+}
@@ -0,0 +1,156 @@
+const { createPolicy, createTimingAllowOrigin, createToken } = require('./policy.js')
+
+const requestInfo = ({ ip = '203.0.113.7', headers = {} } = {}) => ({
+  request: { ip, headers },
+  ip,
+  header: name => headers[name.toLowerCase()]
+})
+
+describe('expose policy should', () => {
+  it('allow or deny all requests with boolean', () => {
+    expect.assertions(3)
+
+    expect(createPolicy()(requestInfo())).toBe(true)
+    expect(createPolicy(true)(requestInfo())).toBe(true)
+    expect(createPolicy(false)(requestInfo())).toBe(false)
+  })
+
+  it('pass request object to predicate', () => {
+    expect.assertions(3)
+    const predicate = jest.fn(request => request.ip === '127.0.0.1')
+    const info = requestInfo({ ip: '127.0.0.1' })
+
+    expect(createPolicy(predicate)(info)).toBe(true)
+    expect(createPolicy(predicate)(requestInfo())).toBe(false)
+    expect(predicate).toHaveBeenCalledWith(info.request)
+  })
+
+  it('allow IP addresses and CIDR ranges from the list', () => {
+    expect.assertions(6)
+    const isExposed = createPolicy({
+      ips: ['127.0.0.1', '10.0.0.0/8', '2001:db8::/32']
+    })
+
+    expect(isExposed(requestInfo({ ip: '127.0.0.1' }))).toBe(true)
+    expect(isExposed(requestInfo({ ip: '10.20.30.40' }))).toBe(true)
+    expect(isExposed(requestInfo({ ip: '::ffff:10.20.30.40' }))).toBe(true)
+    expect(isExposed(requestInfo({ ip: '2001:db8::1' }))).toBe(true)
+    expect(isExposed(requestInfo({ ip: '11.0.0.1' }))).toBe(false)
+    expect(isExposed(requestInfo({ ip: 'unknown' }))).toBe(false)
+  })
+
+  it('require request header', () => {
+    expect.assertions(4)
+    const hasHeader = createPolicy({ header: 'x-debug' })
+    const hasValue = createPolicy({
+      header: { name: 'x-debug', value: 'secret' }
+    })
+
+    expect(hasHeader(requestInfo({ headers: { 'x-debug': '' } }))).toBe(true)
+    expect(hasHeader(requestInfo())).toBe(false)
+    expect(hasValue(requestInfo({ headers: { 'x-debug': 'secret' } }))).toBe(
+      true
+    )
+    expect(hasValue(requestInfo({ headers: { 'x-debug': 'public' } }))).toBe(
+      false
+    )
+  })
+
+  it('require signed token', () => {
+    expect.assertions(5)
+    const isExposed = createPolicy({ token: { secret: 'secret' } })
+    const withToken = token =>
+      requestInfo({ headers: { 'x-server-timing-token': token } })
+
+    expect(isExposed(withToken(createToken('secret')))).toBe(true)
+    expect(isExposed(withToken(createToken('other secret')))).toBe(false)
+    expect(isExposed(withToken(createToken('secret', -1000)))).toBe(false)
+    expect(isExposed(withToken('broken'))).toBe(false)
+    expect(isExposed(requestInfo())).toBe(false)
+  })
+
+  it('read token from custom header', () => {
+    expect.assertions(1)
+    const isExposed = createPolicy({
+      token: { secret: 'secret', header: 'x-token' }
+    })
+
+    expect(
+      isExposed(requestInfo({ headers: { 'x-token': createToken('secret') } }))
+    ).toBe(true)
+  })
+
+  it('sample requests', () => {
+    expect.assertions(2)
+    const random = jest.spyOn(Math, 'random')
+
+    random.mockReturnValue(0.05)
+    expect(createPolicy({ sampleRate: 0.1 })(requestInfo())).toBe(true)
+    random.mockReturnValue(0.5)
+    expect(createPolicy({ sampleRate: 0.1 })(requestInfo())).toBe(false)
+
+    random.mockRestore()
+  })
+
+  it('allow request if any rule match', () => {
+    expect.assertions(2)
+    const isExposed = createPolicy({ ips: ['127.0.0.1'], header: 'x-debug' })
+
+    expect(isExposed(requestInfo({ headers: { 'x-debug': '1' } }))).toBe(true)
+    expect(isExposed(requestInfo())).toBe(false)
+  })
+
+  it('throw an error when policy is not valid', () => {
+    expect.assertions(2)
+
+    expect(() => createPolicy(null)).toThrow(
+      'Expose policy should be a boolean, a function or an object'
+    )
+    expect(() => createPolicy('everyone')).toThrow(
+      'Expose policy should be a boolean, a function or an object'
+    )
+  })
+})
+
+describe('timing allow origin should', () => {
+  it('allow any origin or nothing with boolean', () => {
+    expect.assertions(3)
+
+    expect(createTimingAllowOrigin()(requestInfo())).toBeUndefined()
+    expect(createTimingAllowOrigin(false)(requestInfo())).toBeUndefined()
+    expect(createTimingAllowOrigin(true)(requestInfo())).toBe('*')
+  })
+
+  it('send origin or list of origins', () => {
+    expect.assertions(3)
+
+    expect(createTimingAllowOrigin('https://example.com')(requestInfo())).toBe(
+      'https://example.com'
+    )
+    expect(
+      createTimingAllowOrigin(['https://example.com', 'https://admin.example.com'])(requestInfo())
+    ).toBe('https://example.com, https://admin.example.com')
+    expect(createTimingAllowOrigin([])(requestInfo())).toBeUndefined()
+  })
+
+  it('pass request object to function', () => {
+    expect.assertions(3)
+    const origins = jest.fn(request => request.headers.origin === 'https://example.com' && [request.headers.origin])
+    const info = requestInfo({ headers: { origin: 'https://example.com' } })
+
+    expect(createTimingAllowOrigin(origins)(info)).toBe('https://example.com')
+    expect(createTimingAllowOrigin(origins)(requestInfo())).toBeUndefined()
+    expect(origins).toHaveBeenCalledWith(info.request)
+  })
+
+  it('throw an error when origins are not valid', () => {
+    expect.assertions(2)
+
+    expect(() => createTimingAllowOrigin(42)).toThrow(
+      'Timing-Allow-Origin should be a boolean, an origin, a list of origins or a function'
+    )
+    expect(() => createTimingAllowOrigin(['https://example.com', null])).toThrow(
+      'Timing-Allow-Origin should be a boolean, an origin, a list of origins or a function'
+    )
+  })
+})
@@ -0,0 +1,47 @@
+/**
+ * Create reporter that write metrics and request information
+ * as JSON line to the stream
+ * @public
+ * @param {object} [stream=process.stdout] — writable stream
+ * @return {object} — reporter
+ * @example <caption>Write metrics to the log</caption>
+ * const express = require('express');
+ * const serverTimingMiddleware = require('server-timing-header');
+ * const app = express();
+ * app.use(serverTimingMiddleware({
+ *   reporters: [serverTimingMiddleware.jsonReporter(process.stdout)]
+ * }));
+ */
+function jsonReporter (stream = process.stdout) {
+  return {
+    report (metrics, request) {
+      stream.write(`${JSON.stringify({ ...request, metrics })}\n`)
+    }
+  }
+}
+
+/**
+ * Create reporter that pass metrics and request information to the callback
+ * @public
+ * @param {function} callback — function that receive metrics and request information
+ * @return {object} — reporter
+ * @example <caption>Send metrics to the logger</caption>
+ * const express = require('express');
+ * const serverTimingMiddleware = require('server-timing-header');
+ * const app = express();
+ * app.use(serverTimingMiddleware({
+ *   reporters: [serverTimingMiddleware.callbackReporter((metrics, request) => {
+ *     logger.info({ metrics, request }, 'server timing');
+ *   })]
+ * }));
+ */
+function callbackReporter (callback) {
+  return {
+    report: callback
+  }
+}
+
+module.exports = {
+  jsonReporter,
+  callbackReporter
+}
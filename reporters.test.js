@@ -0,0 +1,53 @@
+const { Writable } = require('stream')
+const { jsonReporter, callbackReporter } = require('./reporters.js')
+
+const metrics = [
+  { name: 'db', description: 'query', duration: 12.5, start: 1, end: 13.5 }
+]
+const request = {
+  method: 'GET',
+  url: '/',
+  statusCode: 200,
+  timestamp: 1700000000000,
+  duration: 20
+}
+
+describe('reporters should', () => {
+  it('write metrics as JSON line to the stream', () => {
+    expect.assertions(1)
+    const chunks = []
+    const stream = new Writable({
+      write (chunk, encoding, callback) {
+        chunks.push(chunk.toString())
+        callback()
+      }
+    })
+
+    jsonReporter(stream).report(metrics, request)
+
+    expect(chunks).toStrictEqual([
+      `${JSON.stringify({ ...request, metrics })}\n`
+    ])
+  })
+
+  it('write metrics to stdout by default', () => {
+    expect.assertions(1)
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true)
+
+    jsonReporter().report(metrics, request)
+
+    expect(write).toHaveBeenCalledWith(
+      `${JSON.stringify({ ...request, metrics })}\n`
+    )
+    write.mockRestore()
+  })
+
+  it('pass metrics to the callback', () => {
+    expect.assertions(1)
+    const callback = jest.fn()
+
+    callbackReporter(callback).report(metrics, request)
+
+    expect(callback).toHaveBeenCalledWith(metrics, request)
+  })
+})
@@ -0,0 +1,247 @@
+const { ServerTiming } = require('./server-timing')
+
+const ENTRY_TYPES = ['navigation', 'resource']
+const JOIN_NAMES = ['request-id', 'traceparent']
+const MAX_URL_LENGTH = 2048
+const MAX_DESCRIPTION_LENGTH = 256
+const INVALID_REPORTERS = 'Reporters should be a list of objects with report method'
+
+/**
+ * Create limiter that allow fixed number of beacons from the same client per time window
+ * @private
+ * @param {number} max — maximum number of beacons in the window
+ * @param {number} interval — length of the window in milliseconds
+ * @return {function} — function that receive client key and return boolean
+ */
+function createLimiter (max, interval) {
+  const clients = new Map()
+  let sweep = Date.now() + interval
+  return key => {
+    const now = Date.now()
+    // Expired windows are removed once per window, so memory is bounded by active clients
+    if (now >= sweep) {
+      clients.forEach(({ reset }, client) => {
+        if (reset <= now) clients.delete(client)
+      })
+      sweep = now + interval
+    }
+    const current = clients.get(key)
+    const client = current && current.reset > now
+      ? current
+      : { count: 0, reset: now + interval }
+    client.count += 1
+    clients.set(key, client)
+    return client.count <= max
+  }
+}
+
+/**
+ * Get IP address of the client, express.js use X-Forwarded-For header only with trust proxy setting
+ * @private
+ * @param {object} request — express.js or node.js request object
+ * @return {string|undefined} — IP address
+ */
+function clientAddress (request) {
+  return request.ip || (request.socket && request.socket.remoteAddress)
+}
+
+/**
+ * Read body of the beacon: body parsed by express.js is used as is,
+ * otherwise request stream is read until size limit
+ * @private
+ * @param {object} request — express.js or node.js request object
+ * @param {number} maxBodySize — maximum size of the body in bytes
+ * @return {Promise<object>} — object with parsed payload, payload is undefined if body is not JSON, tooLarge is true if body exceed the limit
+ */
+function readBody (request, maxBodySize) {
+  const parse = text => {
+    try {
+      return { payload: JSON.parse(text) }
+    } catch (error) {
+      return {}
+    }
+  }
+  const { body } = request
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    return Promise.resolve(
+      Buffer.byteLength(body) > maxBodySize ? { tooLarge: true } : parse(String(body))
+    )
+  }
+  // Body parsers leave empty object if content type does not match, like text/plain of beacons
+  if (
+    typeof body !== 'undefined' &&
+    (request.readableEnded || Object.keys(body || {}).length > 0)
+  ) {
+    return Promise.resolve({ payload: body })
+  }
+  return new Promise(resolve => {
+    const chunks = []
+    let size = 0
+    const onData = chunk => {
+      size += chunk.length
+      if (size <= maxBodySize) {
+        chunks.push(chunk)
+        return
+      }
+      // The rest of the body is skipped
+      request.removeListener('data', onData)
+      request.resume()
+      resolve({ tooLarge: true })
+    }
+    request.on('data', onData)
+    request.on('end', () => resolve(parse(Buffer.concat(chunks).toString('utf8'))))
+    request.on('error', () => resolve({}))
+  })
+}
+
+/**
+ * Check that value is finite not negative number
+ * @private
+ * @param {*} value — checked value
+ * @return {boolean} — is value valid time
+ */
+function isTime (value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0
+}
+
+/**
+ * Check that value is string not longer than limit
+ * @private
+ * @param {*} value — checked value
+ * @param {number} length — maximum length
+ * @return {boolean} — is value valid string
+ */
+function isText (value, length) {
+  return typeof value === 'string' && value.length <= length
+}
+
+/**
+ * Check performance entry sent by the browser collector
+ * @private
+ * @param {object} entry — performance entry
+ * @return {boolean} — is entry valid
+ */
+function isValidEntry (entry) {
+  return (
+    entry !== null &&
+    typeof entry === 'object' &&
+    ENTRY_TYPES.includes(entry.type) &&
+    isText(entry.url, MAX_URL_LENGTH) &&
+    isTime(entry.timestamp) &&
+    isTime(entry.duration) &&
+    Array.isArray(entry.serverTiming) &&
+    entry.serverTiming.every(
+      metric =>
+        metric !== null &&
+        typeof metric === 'object' &&
+        ServerTiming.nameIsValid(metric.name) &&
+        isText(metric.description, MAX_DESCRIPTION_LENGTH) &&
+        isTime(metric.duration)
+    )
+  )
+}
+
+/**
+ * Create express.js route handler that receive beacons of the browser collector,
+ * validate them, limit number of beacons from the same IP address and pass
+ * each performance entry to reporters, like metrics of the server response.
+ * Reporters receive server-timing entries as metrics and request information
+ * with source, type of the entry, URL of the page and id of the server request,
+ * if response had `request-id` or `traceparent` entry.
+ * It respond with 204 to valid beacon, 400 to invalid one, 413 to beacon larger than limit
+ * and 429 when limit of beacons is exceeded
+ * @public
+ * @param {object} options — handler options
+ * @param {object[]} options.reporters — reporters with report(metrics, request) method, the same as middleware reporters
+ * @param {number} [options.maxBodySize=65536] — maximum size of the beacon in bytes
+ * @param {number} [options.maxEntries=50] — maximum number of performance entries in the beacon
+ * @param {object} [options.rateLimit] — limit of beacons from the same IP address
+ * @param {number} [options.rateLimit.max=60] — maximum number of beacons in the window
+ * @param {number} [options.rateLimit.interval=60000] — length of the window in milliseconds
+ * @param {function} [options.rateLimit.key] — function that receive request and return key of the client, IP address by default.
+ * Behind load balancer enable `trust proxy` setting of express.js, otherwise all clients share the address of the balancer
+ * @throw {Error} — throw an error if reporters are not valid
+ * @return {function} — express.js route handler
+ * @example <caption>Receive metrics collected in the browser</caption>
+ * const express = require('express');
+ * const serverTimingMiddleware = require('server-timing-header');
+ * const reporters = [serverTimingMiddleware.jsonReporter(process.stdout)];
+ * const app = express();
+ * app.use(serverTimingMiddleware({ reporters, builtins: { requestId: true } }));
+ * app.post('/server-timing', serverTimingMiddleware.rumHandler({ reporters }));
+ */
+function rumHandler ({
+  reporters,
+  maxBodySize = 64 * 1024,
+  maxEntries = 50,
+  rateLimit: { max = 60, interval = 60 * 1000, key = clientAddress } = {}
+} = {}) {
+  if (
+    !Array.isArray(reporters) ||
+    !reporters.every(reporter => reporter && typeof reporter.report === 'function')
+  ) {
+    throw new Error(INVALID_REPORTERS)
+  }
+  const isAllowed = createLimiter(max, interval)
+
+  return async function serverTimingRum (request, response) {
+    const ip = clientAddress(request)
+    if (!isAllowed(key(request))) {
+      response.statusCode = 429
+      response.end()
+      return
+    }
+    const { payload, tooLarge } = await readBody(request, maxBodySize)
+    if (tooLarge) {
+      response.statusCode = 413
+      response.end()
+      return
+    }
+    const { page, entries } = payload || {}
+    if (
+      !isText(page, MAX_URL_LENGTH) ||
+      !Array.isArray(entries) ||
+      entries.length > maxEntries ||
+      !entries.every(isValidEntry)
+    ) {
+      response.statusCode = 400
+      response.end()
+      return
+    }
+    response.statusCode = 204
+    response.end()
+
+    entries.forEach(({ type, url, timestamp, duration, serverTiming }) => {
+      const metrics = serverTiming.map(({ name, description, duration }) => ({
+        name,
+        description,
+        duration
+      }))
+      const join = metrics.find(({ name }) => JOIN_NAMES.includes(name))
+      const meta = {
+        source: 'browser',
+        type,
+        url,
+        page,
+        ip,
+        timestamp,
+        duration,
+        ...(join && { requestId: join.description })
+      }
+      reporters.forEach(reporter => {
+        // Broken reporter should not break other reporters
+        try {
+          Promise.resolve(reporter.report(metrics, meta)).catch(
+            process.emitWarning
+          )
+        } catch (error) {
+          process.emitWarning(error)
+        }
+      })
+    })
+  }
+}
+
+module.exports = {
+  rumHandler
+}
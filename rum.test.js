@@ -0,0 +1,199 @@
+const express = require('express')
+const { rumHandler } = require('./rum.js')
+const { listen, request } = require('./test-helpers.js')
+
+const post = (server, body, headers = { 'content-type': 'text/plain' }) =>
+  request(server, {
+    method: 'POST',
+    path: '/server-timing',
+    headers,
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  })
+
+const beacon = (entries = [navigation]) => ({
+  page: 'https://www.example.com/users',
+  entries
+})
+
+const navigation = {
+  type: 'navigation',
+  url: 'https://www.example.com/users',
+  timestamp: 1700000000000,
+  duration: 350.5,
+  serverTiming: [
+    { name: 'request-id', description: 'abc-123', duration: 0 },
+    { name: 'db', description: 'query', duration: 12.5 }
+  ]
+}
+
+describe('rum handler should', () => {
+  let server
+
+  afterEach(() => {
+    if (server) server.close()
+    server = undefined
+  })
+
+  it('pass performance entries of beacon to reporters', async () => {
+    expect.assertions(3)
+    const report = jest.fn()
+    const app = express()
+    app.post('/server-timing', rumHandler({ reporters: [{ report }] }))
+    server = await listen(app)
+
+    const response = await post(server, beacon())
+
+    expect(response.statusCode).toBe(204)
+    expect(report).toHaveBeenCalledTimes(1)
+    expect(report).toHaveBeenCalledWith(
+      [
+        { name: 'request-id', description: 'abc-123', duration: 0 },
+        { name: 'db', description: 'query', duration: 12.5 }
+      ],
+      {
+        source: 'browser',
+        type: 'navigation',
+        url: 'https://www.example.com/users',
+        page: 'https://www.example.com/users',
+        ip: expect.any(String),
+        timestamp: 1700000000000,
+        duration: 350.5,
+        requestId: 'abc-123'
+      }
+    )
+  })
+
+  it('read beacon parsed by body parser or left by it', async () => {
+    expect.assertions(4)
+    const report = jest.fn()
+    const app = express()
+    app.use(express.json())
+    app.post('/server-timing', rumHandler({ reporters: [{ report }] }))
+    server = await listen(app)
+
+    const parsed = await post(server, beacon(), { 'content-type': 'application/json' })
+    const plain = await post(server, beacon())
+
+    expect(parsed.statusCode).toBe(204)
+    expect(plain.statusCode).toBe(204)
+    expect(report).toHaveBeenCalledTimes(2)
+    expect(report.mock.calls[0]).toStrictEqual(report.mock.calls[1])
+  })
+
+  it('reject invalid and too large beacons', async () => {
+    expect.assertions(5)
+    const report = jest.fn()
+    const app = express()
+    app.post('/server-timing', rumHandler({ reporters: [{ report }], maxBodySize: 1024, maxEntries: 2 }))
+    server = await listen(app)
+
+    const broken = await post(server, '{"page":')
+    const invalid = await post(
+      server,
+      beacon([{ ...navigation, serverTiming: [{ name: 'cache hit', description: '', duration: 1 }] }])
+    )
+    const tooMany = await post(server, beacon([navigation, navigation, navigation]))
+    const tooLarge = await post(server, { ...beacon(), padding: 'x'.repeat(2048) })
+
+    expect(broken.statusCode).toBe(400)
+    expect(invalid.statusCode).toBe(400)
+    expect(tooMany.statusCode).toBe(400)
+    expect(tooLarge.statusCode).toBe(413)
+    expect(report).not.toHaveBeenCalled()
+  })
+
+  it('limit number of beacons from the same client', async () => {
+    expect.assertions(3)
+    const report = jest.fn()
+    const app = express()
+    app.post('/server-timing', rumHandler({ reporters: [{ report }], rateLimit: { max: 1 } }))
+    server = await listen(app)
+
+    const first = await post(server, beacon())
+    const second = await post(server, beacon())
+
+    expect(first.statusCode).toBe(204)
+    expect(second.statusCode).toBe(429)
+    expect(report).toHaveBeenCalledTimes(1)
+  })
+
+  it('limit beacons by custom client key', async () => {
+    expect.assertions(2)
+    const app = express()
+    app.post(
+      '/server-timing',
+      rumHandler({
+        reporters: [{ report () {} }],
+        rateLimit: { max: 1, key: request => request.get('x-client') }
+      })
+    )
+    server = await listen(app)
+
+    const first = await post(server, beacon(), { 'content-type': 'text/plain', 'x-client': 'a' })
+    const second = await post(server, beacon(), { 'content-type': 'text/plain', 'x-client': 'b' })
+
+    expect(first.statusCode).toBe(204)
+    expect(second.statusCode).toBe(204)
+  })
+
+  it('allow beacons again when window is over', async () => {
+    expect.assertions(3)
+    let time = 1700000000000
+    const now = jest.spyOn(Date, 'now').mockImplementation(() => time)
+    const app = express()
+    app.post(
+      '/server-timing',
+      rumHandler({ reporters: [{ report () {} }], rateLimit: { max: 1, interval: 1000 } })
+    )
+    server = await listen(app)
+
+    const first = await post(server, beacon())
+    const limited = await post(server, beacon())
+    time += 1000
+    const next = await post(server, beacon())
+    now.mockRestore()
+
+    expect(first.statusCode).toBe(204)
+    expect(limited.statusCode).toBe(429)
+    expect(next.statusCode).toBe(204)
+  })
+
+  it('emit warning when reporter fails', async () => {
+    expect.assertions(2)
+    const emitWarning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {})
+    const failure = new Error('reporter is down')
+    const report = jest.fn()
+    const app = express()
+    app.post(
+      '/server-timing',
+      rumHandler({
+        reporters: [
+          {
+            report () {
+              throw failure
+            }
+          },
+          { report }
+        ]
+      })
+    )
+    server = await listen(app)
+
+    await post(server, beacon())
+
+    expect(emitWarning).toHaveBeenCalledWith(failure)
+    expect(report).toHaveBeenCalledTimes(1)
+    emitWarning.mockRestore()
+  })
+
+  it('throw an error when reporters are not valid', () => {
+    expect.assertions(2)
+
+    expect(() => rumHandler()).toThrow(
+      'Reporters should be a list of objects with report method'
+    )
+    expect(() => rumHandler({ reporters: [{}] })).toThrow(
+      'Reporters should be a list of objects with report method'
+    )
+  })
+})
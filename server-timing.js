@@ -0,0 +1,1512 @@
+const crypto = require('crypto')
+const { performance } = require('perf_hooks')
+const onHeaders = require('on-headers')
+const { createPolicy, createTimingAllowOrigin } = require('./policy')
+const { parse } = require('./parser')
+
+const HEADER_NAME = 'server-timing'
+const TRAILER_NAME = 'trailer'
+const TIMING_ALLOW_ORIGIN = 'timing-allow-origin'
+const NO_BODY_STATUSES = [204, 304]
+const QUEUE_HEADER = 'x-request-start'
+const REQUEST_ID_HEADER = 'x-request-id'
+const REQUEST_ID_NAME = 'request-id'
+const INVALID_NAME = 'Name contain forbidden symbols'
+const HEADERS_SENT = 'Headers was already sent and we can not add new headers'
+const FAILED_DESCRIPTION = 'failed'
+const INVALID_PRECISION = 'Precision should be an integer from 0 to 3'
+const INVALID_ROUNDING = 'Rounding should be one of: round, floor, ceil, trunc'
+const INVALID_LIMIT =
+  'Header size and number of entries should be positive numbers'
+const OMITTED_NAME = 'omitted'
+const INVALID_CLOCK = 'Clock should be a function'
+const INVALID_ERROR_POLICY = 'Error policy should be one of: throw, sanitize, drop'
+const ERROR_POLICIES = ['throw', 'sanitize', 'drop']
+const MODERN_FORMAT = 'modern'
+const LEGACY_FORMAT = 'legacy'
+const AUTO_FORMAT = 'auto'
+const INVALID_FORMAT =
+  'Format should be one of: modern, legacy, auto or a function, detector should be a function'
+const INVALID_PARAM = 'Parameter name contain forbidden symbols or is reserved'
+const RESERVED_PARAMS = ['desc', 'dur']
+const INVALID_AGGREGATION =
+  'Aggregation should be one of: total, count, average, max'
+const AGGREGATIONS = {
+  total: (values, total) => total,
+  count: values => values.length,
+  average: (values, total) => total / values.length,
+  max: values => Math.max(...values)
+}
+const ROUNDING = {
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  trunc: Math.trunc
+}
+
+/**
+ * Server Timing controller, collect metrics for the request
+ * and add them to the response headers or trailers
+ *
+ * @namespace ServerTiming
+ * @class ServerTiming
+ * @see https://w3c.github.io/server-timing/
+ * @author Anton Nemtsev <thesilentimp@gmail.com>
+ *
+ */
+class ServerTiming {
+  /**
+   * Create server timing controller
+   * @constructor
+   * @param {string} [userAgent] — string that contain user agent description, it is passed to format detector
+   * @param {boolean} [sendHeaders=true] - you may send or don't send headers depending on environment
+   * @param {object} [options] — controller options
+   * @param {boolean} [options.markFailed=false] - add "failed" to description of metrics measured with rejected promise or thrown error
+   * @param {number} [options.precision=3] - number of decimal places in reported durations, from 0 to 3
+   * @param {string} [options.rounding='round'] - rounding mode for reported durations: round, floor, ceil or trunc
+   * @param {boolean} [options.nested=false] - metrics started while other metric is open become its children
+   * @param {boolean} [options.exclusive=false] - report own time of nested metrics without time of their children
+   * @param {string|string[]|boolean} [options.aggregate=false] - aggregate repeated measurements of the same metric: total, count, average or max, list of aggregations will be reported as separate entries
+   * @param {number} [options.maxHeaderSize=Infinity] - maximal length of server-timing header in bytes
+   * @param {number} [options.maxEntries=Infinity] - maximal number of entries in server-timing header
+   * @param {boolean} [options.markOmitted=false] - add "omitted" entry with number of metrics that were dropped to fit the limits
+   * @param {function} [options.clock=process.hrtime.bigint] - function that return current time as bigint in nanoseconds or number in milliseconds, like performance.now
+   * @param {string} [options.errorPolicy='throw'] - what to do with invalid names and late headers: throw an error, sanitize names or drop the call, errors are passed to onError with sanitize and drop policies
+   * @param {function} [options.onError] - function that receive error and controller, when it is not set errors are emitted as process warnings
+   * @param {string|function} [options.format='auto'] - format of header values: modern, legacy (Chrome 64 and earlier), auto to choose by user agent or function that receive metric with name, description, duration and params and return header value
+   * @param {function} [options.detectFormat=ServerTiming.detectFormat] - function that receive user agent and return format for auto mode
+   * @throw {Error} — throw an error if precision, rounding mode, aggregation, limits, clock, error policy or format are not valid
+   */
+  constructor (
+    userAgent = '',
+    sendHeaders = true,
+    {
+      markFailed = false,
+      precision = 3,
+      rounding = 'round',
+      nested = false,
+      exclusive = false,
+      aggregate = false,
+      maxHeaderSize = Infinity,
+      maxEntries = Infinity,
+      markOmitted = false,
+      clock = process.hrtime.bigint,
+      errorPolicy = 'throw',
+      onError,
+      format = AUTO_FORMAT,
+      detectFormat = ServerTiming.detectFormat
+    } = {}
+  ) {
+    if (!Number.isInteger(precision) || precision < 0 || precision > 3) {
+      throw new Error(INVALID_PRECISION)
+    }
+    if (!Object.prototype.hasOwnProperty.call(ROUNDING, rounding)) {
+      throw new Error(INVALID_ROUNDING)
+    }
+    const aggregations = [].concat(aggregate || [])
+    if (
+      !aggregations.every(aggregation =>
+        Object.prototype.hasOwnProperty.call(AGGREGATIONS, aggregation)
+      )
+    ) {
+      throw new Error(INVALID_AGGREGATION)
+    }
+    if (!(maxHeaderSize > 0) || !(maxEntries > 0)) {
+      throw new Error(INVALID_LIMIT)
+    }
+    if (typeof clock !== 'function') throw new Error(INVALID_CLOCK)
+    if (!ERROR_POLICIES.includes(errorPolicy)) {
+      throw new Error(INVALID_ERROR_POLICY)
+    }
+    if (
+      (typeof format !== 'function' &&
+        ![MODERN_FORMAT, LEGACY_FORMAT, AUTO_FORMAT].includes(format)) ||
+      typeof detectFormat !== 'function'
+    ) {
+      throw new Error(INVALID_FORMAT)
+    }
+
+    /**
+     * What to do with invalid names and late headers
+     * @private
+     * @type {string} - throw, sanitize or drop
+     */
+    this.errorPolicy = errorPolicy
+
+    /**
+     * @private
+     * @type {function|undefined} - function that receive errors with sanitize and drop policies
+     */
+    this.onError = onError
+
+    /**
+     * Source of monotonic time, may be replaced with fake clock in tests
+     * @private
+     * @type {function} - function that return current time as bigint in nanoseconds or number in milliseconds
+     */
+    // performance.now is the only common clock that need its own this
+    this.clock = clock === performance.now ? () => performance.now() : clock
+
+    const detected = format === AUTO_FORMAT ? detectFormat(userAgent) : format
+
+    /**
+     * Format of header values
+     * @private
+     * @type {string|function} - modern, legacy or custom serializer, unknown detected formats fall back to modern
+     */
+    this.format =
+      typeof detected === 'function' || detected === LEGACY_FORMAT
+        ? detected
+        : MODERN_FORMAT
+
+    /**
+     * If start time is not specified for metric
+     * we will use time of middleware initialization
+     * @private
+     * @type {bigint} - time of middleware initialization in nanoseconds
+     */
+    this.initialized = this.now()
+
+    /**
+     * @private
+     * @type {number} - time of middleware initialization in milliseconds since epoch
+     */
+    this.timestamp = Date.now()
+
+    /**
+     * Should middleware send headers
+     * @private
+     * @type {boolean} - if false middleware will not add headers
+     */
+    this.sendHeaders = sendHeaders
+
+    /**
+     * Should failed measurements be marked in description
+     * @private
+     * @type {boolean} - if true "failed" will be added to description of failed metrics
+     */
+    this.markFailed = markFailed
+
+    /**
+     * @private
+     * @type {number} - number of decimal places in reported durations
+     */
+    this.precision = precision
+
+    /**
+     * @private
+     * @type {function} - function used to round reported durations
+     */
+    this.rounding = ROUNDING[rounding]
+
+    /**
+     * Should metrics be nested in currently open metric
+     * @private
+     * @type {boolean} - if true child metrics will be named as parent.child
+     */
+    this.nested = nested
+
+    /**
+     * Should nested metrics report own time only
+     * @private
+     * @type {boolean} - if true time of children will be substracted from parent time
+     */
+    this.exclusive = exclusive
+
+    /**
+     * How repeated measurements of the same metric should be reported
+     * @private
+     * @type {string|string[]|boolean} - if false repeated measurement overwrite previous one
+     */
+    this.aggregate = aggregate
+
+    /**
+     * @private
+     * @type {number} - maximal length of server-timing header in bytes
+     */
+    this.maxHeaderSize = maxHeaderSize
+
+    /**
+     * @private
+     * @type {number} - maximal number of entries in server-timing header
+     */
+    this.maxEntries = maxEntries
+
+    /**
+     * Should number of dropped metrics be reported
+     * @private
+     * @type {boolean} - if true "omitted" entry will be added when metrics are dropped
+     */
+    this.markOmitted = markOmitted
+
+    /**
+     * @private
+     * @type {string[]} - Full names of open metrics, from the outer to the inner one
+     */
+    this.open = []
+
+    /**
+     * @private
+     * @type {object} - We will store time metrics in this object
+     */
+    this.metrics = {}
+
+    /**
+     * @private
+     * @type {object[]} - Metrics that were already sent or reported
+     */
+    this.finalized = []
+
+    /**
+     * @private
+     * @type {array} - Array of callbacks
+     */
+    this.hooks = []
+
+    // We should keep consistent context for non static methods
+    Object.getOwnPropertyNames(Object.getPrototypeOf(this)).forEach(name => {
+      const method = this[name]
+      if (name !== 'constructor' && typeof method === 'function') {
+        this[name] = method.bind(this)
+      }
+    })
+  }
+
+  /**
+   * Add callback to modify data before create and send headers
+   * @public
+   * @param {string} name — hook name
+   * @param {function} callback — function that may modify data before send headers
+   * @param {number} callbackIndex - index that will be used to sort callbacks before execution
+   * @example <caption>Add hook to mutate the metrics</caption>
+   * const express = require('express');
+   * const serverTimingMiddleware = require('server-timing-header');
+   * const port = 3000;
+   * const app = express();
+   * app.use(serverTimingMiddleware());
+   * app.use(function (req, res, next) {
+   *   // If one measurement include other inside you may substract times
+   *   req.serverTiming.addHook('substractDataTimeFromRenderTime', function (metrics) {
+   *      const updated = { ...metrics };
+   *      if (updated.data && updated.render) {
+   *        const renderDuration  = req.serverTiming.calculateDurationSmart(updated.render);
+   *        const dataDuration  = req.serverTiming.calculateDurationSmart(updated.data);
+   *        updated.render.duration = Math.abs(renderDuration - dataDuration);
+   *      }
+   *      return updated;
+   *   });
+   * });
+   * app.listen(port, () => console.log(`Example app listening on port ${port}!`));
+   */
+  addHook (name, callback, callbackIndex) {
+    let index = callbackIndex
+    if (index === undefined) {
+      index = this.hooks.length + 1
+    }
+    this.hooks.push({
+      name,
+      callback,
+      index
+    })
+  }
+
+  /**
+   * Remove callback with specific name
+   * @public
+   * @param {string} name — hook name
+   */
+  removeHook (name) {
+    this.hooks = this.hooks.filter(
+      ({ name: callbackName }) => callbackName !== name
+    )
+  }
+
+  /**
+   * Set start time for metric
+   * @public
+   * @param {string} name — metric name
+   * @param {string} [description] — description of the metric
+   * @param {object} [options] — metric options
+   * @param {number} [options.priority=0] — metrics with lower priority are truncated and dropped first when header is too big
+   * @param {object} [options.params] — extra parameters of the metric, like { cache: 'hit' }
+   * @throw {Error} — throw an error if name or parameter name is not valid and error policy is throw
+   * @example <caption>You may define only start time for metric</caption>
+   * const express = require('express');
+   * const serverTimingMiddleware = require('server-timing-header');
+   * const port = 3000;
+   * const app = express();
+   * app.use(serverTimingMiddleware());
+   * app.get('/', function (req, res, next) {
+   *   // If you define only start time for metric,
+   *   // then as the end time will be used header sent time
+   *   req.serverTiming.from('metric', 'metric description');
+   *   // fetching data from database
+   * });
+   * app.listen(port, () => console.log(`Example app listening on port ${port}!`));
+   */
+  from (name, description, { priority, params } = {}) {
+    const validName = this.validName(name)
+    if (typeof validName === 'undefined') return
+    const validParams = this.validParams(params)
+    const parent = this.open[this.open.length - 1]
+    const path = this.nested && parent ? `${parent}.${validName}` : validName
+    this.repeat(path)
+    this.set(path, 'from', this.now())
+    if (this.nested) this.open.push(path)
+    if (description) this.set(path, 'description', description)
+    if (typeof priority !== 'undefined') this.set(path, 'priority', priority)
+    if (validParams) this.set(path, 'params', validParams)
+  }
+
+  /**
+   * Set end time for metric
+   * @public
+   * @param {string} name — metric name
+   * @param {string} [description] — description of the metric
+   * @throw {Error} — throw an error if name is not valid and error policy is throw
+   * @example <caption>You may define only end time for metric</caption>
+   * const express = require('express');
+   * const serverTimingMiddleware = require('server-timing-header');
+   * const port = 3000;
+   * const app = express();
+   * app.use(serverTimingMiddleware());
+   * app.get('/', function (req, res, next) {
+   *   // fetching data from database
+   *   // If you define only end time for metric,
+   *   // then as the start time will be used middleware initialization time
+   *   req.serverTiming.to('metric');
+   * });
+   * app.listen(port, () => console.log(`Example app listening on port ${port}!`));
+   */
+  to (name, description) {
+    const validName = this.validName(name)
+    if (typeof validName === 'undefined') return
+    const path = this.resolve(validName)
+    const time = this.now()
+    this.set(path, 'to', time)
+    // Closing metric also close its children that are still open, at the same time
+    const index = this.open.lastIndexOf(path)
+    if (index > -1) {
+      this.open
+        .splice(index)
+        .filter(openPath => openPath !== path)
+        .forEach(child => this.set(child, 'to', time))
+    }
+    if (description) this.set(path, 'description', description)
+  }
+
+  /**
+   * Measure time of sync function, async function or promise execution.
+   * End time is recorded even if function throw an error or promise is rejected.
+   * @public
+   * @param {string} name — metric name
+   * @param {string} [description] — description of the metric
+   * @param {function|Promise} fnOrPromise — function or promise to measure
+   * @throw {Error} — throw an error if name is not valid and error policy is throw
+   * @return {mixed} — result of the function or promise that will be resolved with the same value
+   * @example <caption>Measure promise</caption>
+   * const express = require('express');
+   * const serverTimingMiddleware = require('server-timing-header');
+   * const port = 3000;
+   * const app = express();
+   * app.use(serverTimingMiddleware());
+   * app.get('/', async function (req, res, next) {
+   *   const user = await req.serverTiming.measure('db', 'fetching user', db.getUser(req.query.id));
+   *   // …
+   * });
+   * app.listen(port, () => console.log(`Example app listening on port ${port}!`));
+   */
+  measure (name, description, fnOrPromise) {
+    if (typeof fnOrPromise === 'undefined' && typeof description !== 'string') {
+      fnOrPromise = description
+      description = undefined
+    }
+    const validName = this.validName(name)
+    // Dropped measurement should not change result of the function
+    if (typeof validName === 'undefined') {
+      return typeof fnOrPromise === 'function' ? fnOrPromise() : fnOrPromise
+    }
+    this.from(validName, description)
+    let result
+    try {
+      result = typeof fnOrPromise === 'function' ? fnOrPromise() : fnOrPromise
+    } catch (error) {
+      this.fail(validName)
+      throw error
+    }
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        value => {
+          this.to(validName)
+          return value
+        },
+        error => {
+          this.fail(validName)
+          throw error
+        }
+      )
+    }
+    this.to(validName)
+    return result
+  }
+
+  /**
+   * Create instrumented version of the function,
+   * each call of it will be measured as metric
+   * @public
+   * @param {string} name — metric name
+   * @param {string} [description] — description of the metric
+   * @param {function} fn — function to instrument
+   * @throw {Error} — throw an error if name is not valid and error policy is throw
+   * @return {function} — function with the same signature and result
+   * @example <caption>Instrument function</caption>
+   * const express = require('express');
+   * const serverTimingMiddleware = require('server-timing-header');
+   * const port = 3000;
+   * const app = express();
+   * app.use(serverTimingMiddleware());
+   * app.get('/', async function (req, res, next) {
+   *   const getUser = req.serverTiming.wrap('db', db.getUser);
+   *   const user = await getUser(req.query.id);
+   *   // …
+   * });
+   * app.listen(port, () => console.log(`Example app listening on port ${port}!`));
+   */
+  wrap (name, description, fn) {
+    if (typeof fn === 'undefined') {
+      fn = description
+      description = undefined
+    }
+    const validName = this.validName(name)
+    if (typeof validName === 'undefined') return fn
+    const measure = this.measure
+    return function (...args) {
+      return measure(validName, description, () => fn.apply(this, args))
+    }
+  }
+
+  /**
+   * Set end time for metric and mark it as failed
+   * @private
+   * @param {string} name — metric name
+   */
+  fail (name) {
+    const validName = this.validName(name)
+    if (typeof validName === 'undefined') return
+    const path = this.resolve(validName)
+    this.to(path)
+    this.set(path, 'failed', true)
+  }
+
+  /**
+   * Add extra parameter to specific metric
+   * @public
+   * @param {string} name — metric name
+   * @param {string} key — parameter name, desc and dur are reserved
+   * @param {string|number|boolean} value — parameter value
+   * @throw {Error} — throw an error if name or parameter name is not valid and error policy is throw
+   * @example <caption>Add parameters to the metric</caption>
+   * app.get('/', async function (req, res, next) {
+   *   req.serverTiming.from('db');
+   *   const rows = await db.query('SELECT * FROM users');
+   *   req.serverTiming.to('db');
+   *   req.serverTiming.param('db', 'rows', rows.length);
+   *   // Server-Timing: db;dur=12.5;rows=120
+   * });
+   */
+  param (name, key, value) {
+    const validName = this.validName(name)
+    const validParams = this.validParams({ [key]: value })
+    if (typeof validName === 'undefined' || Object.keys(validParams).length === 0) return
+    const path = this.resolve(validName)
+    const { params } = this.metrics[path] || {}
+    this.set(path, 'params', { ...params, ...validParams })
+  }
+
+  /**
+   * Add description to specific metric
+   * @public
+   * @param {string} name — metric name
+   * @param {string} description — description of the metric
+   * @throw {Error} — throw an error if name is not valid and error policy is throw
+   */
+  description (name, description) {
+    const validName = this.validName(name)
+    if (typeof validName === 'undefined') return
+    this.set(this.resolve(validName), 'description', description)
+  }
+
+  /**
+   * Add duration to specific metric
+   * @public
+   * @param {string} name — metric name
+   * @param {float} duration — duration of the metric
+   * @throw {Error} — throw an error if name is not valid and error policy is throw
+   */
+  duration (name, duration) {
+    const validName = this.validName(name)
+    if (typeof validName === 'undefined') return
+    this.set(this.resolve(validName), 'duration', duration)
+  }
+
+  /**
+   * Add property for metric
+   * or create new metric with this property
+   * if metric with this name not found
+   * @private
+   * @param {string} name - metric name
+   * @param {string} field - property name
+   * @param {mixed} value — property value
+   * @throw {Error} — throw an error if name contains invalid characters and error policy is throw
+   */
+  set (name, field, value) {
+    const path = this.validName(name)
+    if (typeof path === 'undefined') return
+    if (typeof this.metrics[path] === 'undefined') {
+      this.metrics[path] = { ...this.parentOf(path), [[field]]: value }
+    } else {
+      this.metrics[path][field] = value
+    }
+  }
+
+  /**
+   * Add metric
+   * @param {string} name - metric name
+   * @param {string} description — metric description
+   * @param {number} duration — metric duration
+   * @param {object} [options] — metric options
+   * @param {number} [options.priority=0] — metrics with lower priority are truncated and dropped first when header is too big
+   * @param {object} [options.params] — extra parameters of the metric, like { cache: 'hit' }
+   * @throw {Error} — throw an error if name or parameter name contains invalid characters and error policy is throw
+   * @example <caption>Add metric</caption>
+   * const express = require('express');
+   * const serverTimingMiddleware = require('server-timing-header');
+   * const port = 3000;
+   * const app = express();
+   * app.use(serverTimingMiddleware());
+   * app.get('/', function (req, res, next) {
+   *   // You got time metric from the external source
+   *   req.serverTiming.add('metric', 'metric description', 52.3);
+   * });
+   * app.listen(port, () => console.log(`Example app listening on port ${port}!`));
+   */
+  add (name, description, duration = 0.0, { priority, params } = {}) {
+    const validName = this.validName(name)
+    if (typeof validName === 'undefined') return
+    const validParams = this.validParams(params)
+    const path = this.resolve(validName)
+    this.repeat(path)
+    this.metrics[path] = {
+      ...this.parentOf(path),
+      // Keep previous measurements of aggregated metric
+      ...(this.aggregate && this.metrics[path]),
+      description,
+      duration,
+      ...(typeof priority !== 'undefined' && { priority }),
+      ...(validParams && { params: validParams })
+    }
+  }
+
+  /**
+   * Import metrics from Server-Timing header of upstream service,
+   * entries without duration are imported with zero duration
+   * @public
+   * @param {string|string[]|null} header — value of Server-Timing header or list of values, null or undefined if header is absent
+   * @param {object} [options] — import options
+   * @param {string} [options.prefix] — prefix of imported metric names, like users for users.db
+   * @param {boolean} [options.nested=false] — imported metrics become children of the metric named as prefix or of the inner open metric
+   * @throw {Error} — throw an error if prefix contains invalid characters and error policy is throw
+   * @example <caption>Import metrics of the called service</caption>
+   * app.get('/', async function (req, res, next) {
+   *   req.serverTiming.from('users');
+   *   const response = await fetch('http://users.internal/users/1');
+   *   req.serverTiming.to('users');
+   *   // users.db and users.cache become children of users metric
+   *   req.serverTiming.merge(response.headers.get('server-timing'), { prefix: 'users', nested: true });
+   * });
+   */
+  merge (header, { prefix, nested = false } = {}) {
+    const validPrefix = prefix && this.validName(prefix)
+    if (prefix && typeof validPrefix === 'undefined') return
+    const parent = nested ? validPrefix || this.open[this.open.length - 1] : undefined
+    const base = validPrefix || parent
+    parse(header).forEach(({ name, description, duration = 0, params }) => {
+      // Full names are used, so imported metrics are not nested under open metrics
+      const path = base ? `${base}.${name}` : name
+      this.repeat(path)
+      this.metrics[path] = {
+        ...(parent && { parent }),
+        ...(this.aggregate && this.metrics[path]),
+        description,
+        duration,
+        ...(Object.keys(params).length > 0 && { params })
+      }
+    })
+  }
+
+  /**
+   * Keep duration of previous measurement before metric is measured again,
+   * previous measurement is overwritten if aggregation is disabled
+   * @private
+   * @param {string} path - full metric name
+   */
+  repeat (path) {
+    const metric = this.metrics[path]
+    if (!this.aggregate || typeof metric === 'undefined') return
+    const { from, to, duration, repeats = [], ...rest } = metric
+    if (typeof from === 'undefined' && typeof duration === 'undefined') return
+    this.metrics[path] = {
+      ...rest,
+      repeats: [...repeats, this.elapsed(metric)]
+    }
+  }
+
+  /**
+   * Find full name of the metric.
+   * In nested mode name may be the last part of the open metric name,
+   * new metrics become children of the inner open metric
+   * @private
+   * @param {string} name - metric name or full metric name
+   * @return {string} - full metric name
+   */
+  resolve (name) {
+    if (!this.nested || typeof this.metrics[name] !== 'undefined') return name
+    const open = [...this.open]
+      .reverse()
+      .find(path => path === name || path.endsWith(`.${name}`))
+    if (open) return open
+    const parent = this.open[this.open.length - 1]
+    return parent ? `${parent}.${name}` : name
+  }
+
+  /**
+   * Find inner open metric that contain metric with this full name
+   * @private
+   * @param {string} path - full metric name
+   * @return {object} - object with parent property or empty object for top level metrics
+   */
+  parentOf (path) {
+    const parent = this.open
+      .filter(openPath => path.startsWith(`${openPath}.`))
+      .pop()
+    return parent ? { parent } : {}
+  }
+
+  /**
+   * Send current set of server timing headers
+   * @private
+   * @param {object} response — node.js response object
+   * @see https://nodejs.org/api/http.html#class-httpserverresponse
+   * @example <caption>How to add middleware</caption>
+   * const express = require('express');
+   * const serverTimingMiddleware = require('server-timing-header');
+   * const port = 3000;
+   * const app = express();
+   * app.use(serverTimingMiddleware());
+   * app.get('/', function (req, res, next) {
+   *   req.serverTiming.from('db');
+   *   // fetching data from database
+   *   req.serverTiming.to('db');
+   * });
+   * app.listen(port, () => console.log(`Example app listening on port ${port}!`));
+   */
+  addHeaders (response) {
+    if (!this.addHeaders) return
+    if (response.headersSent) {
+      // Metrics are kept, so they will be passed to reporters
+      this.handleError(new Error(HEADERS_SENT))
+      return
+    }
+    const presentMetrics = response.getHeader(HEADER_NAME)
+    // Application may set one value, that may hold several entries, or list of values
+    const present =
+      typeof presentMetrics === 'undefined' ? [] : [].concat(presentMetrics).map(String)
+    // Values added by other application count toward the limits too
+    const metrics = [...present, ...this.buildHeaders(present)]
+
+    if (metrics.length > 0) response.setHeader(HEADER_NAME, metrics)
+  }
+
+  /**
+   * Send current set of server timing metrics as trailer.
+   * Response should use chunked encoding and
+   * announce server-timing in the Trailer header before headers are sent
+   * @private
+   * @param {object} response — node.js or express.js response object
+   * @see https://nodejs.org/api/http.html#responseaddtrailersheaders
+   */
+  addTrailers (response) {
+    const metrics = this.buildHeaders()
+    if (metrics.length > 0) {
+      response.addTrailers({ [HEADER_NAME]: metrics.join(', ') })
+    }
+  }
+
+  /**
+   * Apply hooks to collected metrics and build header values,
+   * collected metrics are cleared after that
+   * @private
+   * @param {string[]} [present=[]] — header values that are already set, they are counted toward the limits
+   * @return {string[]} — header values for each metric
+   */
+  buildHeaders (present = []) {
+    return this.limit(this.finalize(), present).map(metric =>
+      ServerTiming.buildHeader(metric, this.format)
+    )
+  }
+
+  /**
+   * Fit metrics into header size and number of entries limits.
+   * Description of the least important metric is truncated first, then metric is dropped,
+   * metrics with the same priority are changed from the last one.
+   * Finalized metrics are not changed, so reporters receive all of them.
+   * Values that are already set are not changed, but they take part of the limits
+   * @private
+   * @param {object[]} metrics — finalized metrics
+   * @param {string[]} [present=[]] — header values that are already set
+   * @return {object[]} — metrics that should be sent
+   */
+  limit (metrics, present = []) {
+    if (this.maxHeaderSize === Infinity && this.maxEntries === Infinity) {
+      return metrics
+    }
+    const kept = metrics.map(metric => ({ ...metric }))
+    let omitted = 0
+    const entries = () =>
+      this.markOmitted && omitted > 0
+        ? [...kept, { name: OMITTED_NAME, description: String(omitted), duration: 0 }]
+        : kept
+    // Serialized values contain only Latin-1 characters, so each character is a byte
+    const size = () =>
+      [
+        ...present,
+        ...entries().map(metric => ServerTiming.buildHeader(metric, this.format))
+      ].join(', ').length
+    const presentEntries = parse(present).length
+    const tooMany = () => presentEntries + entries().length > this.maxEntries
+
+    while (kept.length > 0 && (tooMany() || size() > this.maxHeaderSize)) {
+      const index = kept.reduce(
+        (least, { priority = 0 }, current) =>
+          priority <= (kept[least].priority || 0) ? current : least,
+        0
+      )
+      const { description } = kept[index]
+      if (!tooMany() && description) {
+        // Characters are counted by code points, so surrogate pairs are not broken,
+        // escaped and encoded characters take several bytes, so the longest fitting part is searched
+        const characters = Array.from(String(description))
+        const truncate = length => {
+          kept[index].description = length > 0 ? characters.slice(0, length).join('') : undefined
+        }
+        let low = 0
+        let high = characters.length - 1
+        while (low < high) {
+          const middle = Math.ceil((low + high) / 2)
+          truncate(middle)
+          if (size() <= this.maxHeaderSize) {
+            low = middle
+          } else {
+            high = middle - 1
+          }
+        }
+        truncate(low)
+      } else {
+        kept.splice(index, 1)
+        omitted += 1
+      }
+    }
+    // Present values may leave no room even for the omitted entry
+    return tooMany() || size() > this.maxHeaderSize ? [] : entries()
+  }
+
+  /**
+   * Apply hooks to collected metrics and calculate durations,
+   * collected metrics are cleared and moved to the list of finalized metrics
+   * @private
+   * @return {object[]} — finalized metrics with name, description, duration and
+   * start and end time in milliseconds from the request start, if metric was measured
+   */
+  finalize () {
+    const now = this.now()
+    const offset = time =>
+      this.round(ServerTiming.calculateDuration(this.initialized, time))
+    const updatedMetrics = this.hooks
+      .sort(({ index: indexA }, { index: indexB }) => indexA - indexB)
+      .map(({ callback }) => callback)
+      .reduce((metrics, callback) => {
+        return callback(metrics)
+      }, this.metrics)
+    const entries = Object.entries(updatedMetrics)
+    const measurements = entries.reduce((collector, [name, metric]) => {
+      collector[name] = [...(metric.repeats || []), this.elapsed(metric)]
+      return collector
+    }, {})
+    const durations = entries.reduce((collector, [name]) => {
+      collector[name] = measurements[name].reduce((sum, value) => sum + value)
+      return collector
+    }, {})
+    const ownDurations = { ...durations }
+    if (this.exclusive) {
+      entries.forEach(([name, { parent }]) => {
+        if (typeof ownDurations[parent] !== 'undefined') {
+          ownDurations[parent] = Math.max(ownDurations[parent] - durations[name], 0)
+        }
+      })
+    }
+    const metrics = entries.reduce(
+      (collector, element) => {
+        const [name, metric] = element
+        const { description: metricDescription, failed } = metric
+        const description = failed && this.markFailed
+          ? ServerTiming.failedDescription(metricDescription)
+          : metricDescription
+        const values = measurements[name]
+        const aggregate = aggregation =>
+          this.round(AGGREGATIONS[aggregation](values, ownDurations[name]))
+        if (Array.isArray(this.aggregate)) {
+          // Each aggregation is reported as separate entry, like db.max
+          this.aggregate.forEach(aggregation => {
+            collector.push({
+              name: `${name}.${aggregation}`,
+              description,
+              duration: aggregate(aggregation),
+              ...(metric.priority && { priority: metric.priority }),
+              ...(metric.params && { params: metric.params })
+            })
+          })
+        } else {
+          collector.push({
+            name,
+            description: this.aggregate
+              ? ServerTiming.countDescription(description, values.length)
+              : description,
+            duration: this.aggregate
+              ? aggregate(this.aggregate)
+              : this.round(ownDurations[name]),
+            ...(metric.parent && { parent: metric.parent }),
+            ...(metric.priority && { priority: metric.priority }),
+            ...(metric.params && { params: metric.params }),
+            // Metrics added with known duration don't have start and end time
+            ...(typeof metric.duration === 'undefined' && {
+              start: offset(typeof metric.from !== 'undefined' ? metric.from : this.initialized),
+              end: offset(typeof metric.to !== 'undefined' ? metric.to : now)
+            })
+          })
+        }
+        return collector
+      },
+      []
+    )
+    this.finalized.push(...metrics)
+    this.metrics = {}
+    this.open = []
+    return metrics
+  }
+
+  /**
+   * Add count of measurements to the metric description
+   * @static
+   * @private
+   * @param {string} [description] — metric description
+   * @param {number} count — count of measurements
+   * @return {string} — description with count of measurements
+   */
+  static countDescription (description, count) {
+    const times = `${count} ${count === 1 ? 'time' : 'times'}`
+    return typeof description === 'undefined'
+      ? times
+      : `${description} (${times})`
+  }
+
+  /**
+   * Add failed mark to the metric description
+   * @static
+   * @private
+   * @param {string} [description] — metric description
+   * @return {string} — description with failed mark
+   */
+  static failedDescription (description) {
+    return typeof description === 'undefined'
+      ? FAILED_DESCRIPTION
+      : `${description} (${FAILED_DESCRIPTION})`
+  }
+
+  /**
+   * Build server-timing header value by old specification
+   * @param {string} name - metric name
+   * @param {string} description - metric description
+   * @param {string} duration - metric duration
+   * @return {string} — server-timing header value
+   */
+  static oldStyle (name, description, duration) {
+    return `${name}${typeof duration !== 'undefined' ? `=${duration}` : ''}${
+      typeof description !== 'undefined'
+        ? `; ${ServerTiming.serializeDescription(description, true)}`
+        : ''
+    }`
+  }
+
+  /**
+   * Build server-timing header value by current specification
+   * @param {string} name - metric name
+   * @param {string} description - metric description
+   * @param {string} duration - metric duration
+   * @param {object} [params] - extra parameters of the metric
+   * @return {string} — server-timing header value
+   */
+  static newStyle (name, description, duration, params = {}) {
+    const extra = Object.entries(params)
+      .map(([key, value]) => `;${key}=${ServerTiming.serializeDescription(value)}`)
+      .join('')
+    return `${name}${
+      typeof description !== 'undefined'
+        ? `;desc=${ServerTiming.serializeDescription(description)}`
+        : ''
+    }${typeof duration !== 'undefined' ? `;dur=${duration}` : ''}${extra}`
+  }
+
+  /**
+   * Serialize description as token or quoted-string.
+   * Double quotes and backslashes are escaped,
+   * control characters are replaced with space
+   * and characters outside of Latin-1 are percent-encoded as UTF-8
+   * because they can't be sent in headers
+   * @static
+   * @private
+   * @see https://tools.ietf.org/html/rfc7230#section-3.2.6
+   * @param {string} description - metric description
+   * @param {boolean} [alwaysQuote=false] - use quoted-string even if description is a valid token
+   * @return {string} — serialized description
+   */
+  static serializeDescription (description, alwaysQuote = false) {
+    const text = String(description)
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\x00-\x08\x0a-\x1f\x7f]+/g, ' ')
+      .replace(/[\ud800-\udfff]/gu, '\ufffd')
+      .replace(/[\u0100-\u{10ffff}]/gu, encodeURIComponent)
+    if (!alwaysQuote && ServerTiming.nameIsValid(text)) return text
+    return `"${text.replace(/["\\]/g, '\\$&')}"`
+  }
+
+  /**
+   * Build server timing headers
+   * @static
+   * @private
+   * @param {object} metric — object that contain metric information
+   * @param {string} metric.name — metric name
+   * @param {string} metric.description — metric description
+   * @param {bigint|integer[]} metric.from — start time in nanoseconds or [seconds, nanoseconds]
+   * @param {bigint|integer[]} metric.to — end time in nanoseconds or [seconds, nanoseconds]
+   * @param {number} metric.duration — duration in milliseconds, if defined from and to are ignored
+   * @param {object} [metric.params] — extra parameters, they are not supported by old specification
+   * @param {string|function} [format='modern'] — modern, legacy or custom serializer
+   * @return {string} — header value with timings for specific metric
+   */
+  static buildHeader (
+    { name, description, duration, from, to, params },
+    format = MODERN_FORMAT
+  ) {
+    const time =
+      typeof duration !== 'undefined'
+        ? duration
+        : ServerTiming.calculateDuration(from, to)
+    if (typeof format === 'function') {
+      return String(format({ name, description, duration: time, params: { ...params } }))
+    }
+    return format === LEGACY_FORMAT
+      ? ServerTiming.oldStyle(name, description, time)
+      : ServerTiming.newStyle(name, description, time, params)
+  }
+
+  /**
+   * Choose format of header values by user agent: Chrome 64 and earlier
+   * support old server-timing specification with different syntax,
+   * other user agents receive modern format
+   * @static
+   * @public
+   * @param {string} [userAgent] — value of User-Agent header
+   * @return {string} — legacy or modern
+   * @example <caption>Use legacy format only for old Chrome and not for Electron</caption>
+   * app.use(serverTimingMiddleware({
+   *   detectFormat: userAgent => /Electron\//.test(userAgent) ? 'modern' : ServerTiming.detectFormat(userAgent)
+   * }));
+   */
+  static detectFormat (userAgent = '') {
+    const chromeData = / Chrome\/(\d+)\./.exec(String(userAgent))
+    return chromeData !== null && parseInt(chromeData[1], 10) <= 64
+      ? LEGACY_FORMAT
+      : MODERN_FORMAT
+  }
+
+  /**
+   * Calculate duration between two timestamps, if from or two is undefined — will use initialization time and current time to replace
+   * @public
+   * @param {object} metric — object that contain metric information
+   * @param {string} metric.name — metric name
+   * @param {string} metric.description — metric description
+   * @param {bigint|integer[]} metric.from — start time in nanoseconds or [seconds, nanoseconds], if undefined, initialization time will be used
+   * @param {bigint|integer[]} metric.to — end time in nanoseconds or [seconds, nanoseconds], if undefined, current timestamp will be used
+   * @param {number} metric.duration — time in milliseconds, if not undefined method will just return durations
+   * @return {number} - duration in milliseconds rounded with configured precision and rounding mode
+   */
+  calculateDurationSmart (metric) {
+    return this.round(this.elapsed(metric))
+  }
+
+  /**
+   * Get current time of the clock
+   * @private
+   * @return {bigint} - current time in nanoseconds
+   */
+  now () {
+    // Clock is called unbound, so it does not receive controller as this
+    const { clock } = this
+    const time = clock()
+    return typeof time === 'bigint' ? time : BigInt(Math.round(time * 1e6))
+  }
+
+  /**
+   * Calculate duration of the metric without rounding,
+   * if from or two is undefined — will use initialization time and current time to replace
+   * @private
+   * @param {object} metric — object that contain metric information
+   * @return {number} - duration in milliseconds
+   */
+  elapsed (metric) {
+    // Fake clock may start from zero, so only undefined time is replaced
+    const fromLabel = typeof metric.from !== 'undefined' ? metric.from : this.initialized
+    const toLabel = typeof metric.to !== 'undefined' ? metric.to : this.now()
+    // Zero is a valid duration, for example for metrics that carry only description
+    return typeof metric.duration !== 'undefined'
+      ? metric.duration
+      : ServerTiming.calculateDuration(fromLabel, toLabel)
+  }
+
+  /**
+   * Round duration with configured precision and rounding mode
+   * @private
+   * @param {number} duration — duration in milliseconds
+   * @return {number} - rounded duration in milliseconds
+   */
+  round (duration) {
+    const factor = 10 ** this.precision
+    // toPrecision removes floating point error, so 1.005 * 1000 is 1005, not 1004.999…
+    return this.rounding(Number((duration * factor).toPrecision(15))) / factor
+  }
+
+  /**
+   * Calculate duration between two timestamps
+   * @static
+   * @private
+   * @param {bigint|integer[]} from — start time in nanoseconds or [seconds, nanoseconds]
+   * @param {bigint|integer[]} to — end time in nanoseconds or [seconds, nanoseconds]
+   * @return {number} - duration in milliseconds
+   */
+  static calculateDuration (from, to) {
+    const duration = ServerTiming.toNanoseconds(to) - ServerTiming.toNanoseconds(from)
+    return Math.abs(Number(duration)) / 1e6
+  }
+
+  /**
+   * Convert timestamp to nanoseconds, timestamps in process.hrtime() format
+   * are supported to keep metrics created by hooks working
+   * @static
+   * @private
+   * @param {bigint|integer[]} time — time in nanoseconds or [seconds, nanoseconds]
+   * @return {bigint} - time in nanoseconds
+   */
+  static toNanoseconds (time) {
+    return Array.isArray(time)
+      ? BigInt(time[0]) * BigInt(1e9) + BigInt(time[1])
+      : BigInt(time)
+  }
+
+  /**
+   * Check that names of extra parameters are tokens and are not reserved,
+   * apply error policy to invalid parameters
+   * @private
+   * @param {object} [params] — extra parameters of the metric
+   * @throw {Error} — throw an error if parameter name is not valid and error policy is throw
+   * @return {object|undefined} — copy of valid or sanitized parameters
+   */
+  validParams (params) {
+    if (!params) return undefined
+    return Object.entries(params).reduce((collector, [key, value]) => {
+      if (ServerTiming.nameIsValid(key) && !RESERVED_PARAMS.includes(key.toLowerCase())) {
+        collector[key] = value
+        return collector
+      }
+      this.handleError(Object.assign(new Error(INVALID_PARAM), { param: key }))
+      const sanitized = ServerTiming.sanitizeName(key)
+      // Reserved parameters can't be sanitized
+      if (this.errorPolicy === 'sanitize' && !RESERVED_PARAMS.includes(sanitized.toLowerCase())) {
+        collector[sanitized] = value
+      }
+      return collector
+    }, {})
+  }
+
+  /**
+   * Check metric name and apply error policy if it is not valid
+   * @private
+   * @param {string} name — metric name
+   * @throw {Error} — throw an error if name is not valid and error policy is throw
+   * @return {string|undefined} — valid or sanitized name, undefined if call should be dropped
+   */
+  validName (name) {
+    if (ServerTiming.nameIsValid(name)) return name
+    this.handleError(Object.assign(new Error(INVALID_NAME), { metric: name }))
+    return this.errorPolicy === 'sanitize'
+      ? ServerTiming.sanitizeName(name)
+      : undefined
+  }
+
+  /**
+   * Throw an error or pass it to onError callback, depending on error policy
+   * @private
+   * @param {Error} error — error of the call
+   * @throw {Error} — throw an error if error policy is throw
+   */
+  handleError (error) {
+    if (this.errorPolicy === 'throw') throw error
+    // Broken callback should not break the response
+    try {
+      if (typeof this.onError === 'function') {
+        this.onError(error, this)
+      } else {
+        process.emitWarning(error)
+      }
+    } catch (callbackError) {
+      process.emitWarning(callbackError)
+    }
+  }
+
+  /**
+   * Convert any string to valid metric or parameter name,
+   * forbidden symbols are replaced with underscore
+   * @static
+   * @private
+   * @param {string} name — invalid name
+   * @param {object} [options] — sanitizer options
+   * @param {boolean} [options.dots=true] — keep dots, otherwise they are replaced, so name is not confused with nested metric
+   * @param {boolean} [options.trim=false] — remove underscores at the start and the end of the name
+   * @param {string} [options.fallback='_'] — name used if nothing is left
+   * @return {string} — valid name
+   */
+  static sanitizeName (name, { dots = true, trim = false, fallback = '_' } = {}) {
+    const forbidden = dots ? /[^!#$%&'*+\-.^_`|~0-9a-z]+/gi : /[^!#$%&'*+\-^_`|~0-9a-z]+/gi
+    const sanitized = String(name).replace(forbidden, '_')
+    return (trim ? sanitized.replace(/^_+|_+$/g, '') : sanitized) || fallback
+  }
+
+  /**
+   * Check if metric name is valid
+   * (),/:;<=>?@[\]{}" Don't allowed
+   * Minimal length is one symbol
+   * Digits, alphabet characters,
+   * and !#$%&'*+-.^_`|~ are allowed
+   *
+   * @static
+   * @private
+   * @see https://www.w3.org/TR/2019/WD-server-timing-20190307/#the-server-timing-header-field
+   * @see https://tools.ietf.org/html/rfc7230#section-3.2.6
+   * @param {string} name — metric name
+   * @return {boolean} — is name valid
+   */
+  static nameIsValid (name) {
+    return /^[!#$%&'*+\-.^_`|~0-9a-z]+$/gi.test(name)
+  }
+}
+
+/**
+ * Get information about request, that is needed to create controller,
+ * from node.js request object
+ * @private
+ * @param {object} request — node.js request object
+ * @return {object} — request information
+ */
+function requestInfo (request) {
+  return {
+    request,
+    userAgent: request.headers['user-agent'],
+    te: request.headers.te,
+    httpVersion: request.httpVersion,
+    method: request.method,
+    url: request.url,
+    ip: request.socket && request.socket.remoteAddress,
+    header: name => request.headers[name.toLowerCase()]
+  }
+}
+
+/**
+ * Check if client accept trailers and response may be chunked
+ * @private
+ * @param {object} request — request information
+ * @param {string} [request.te] — value of TE header
+ * @param {string} [request.httpVersion] — HTTP version of the request
+ * @param {string} [request.method] — request method
+ * @return {boolean} — can server-timing be sent as trailer
+ */
+function acceptTrailers ({ te = '', httpVersion, method }) {
+  return (
+    httpVersion !== '1.0' &&
+    method !== 'HEAD' &&
+    /(^|[\s,])trailers($|[\s,;])/i.test(te)
+  )
+}
+
+/**
+ * Send server-timing as trailer if response is streamed with chunked encoding,
+ * otherwise fallback to server-timing headers
+ * @private
+ * @param {ServerTiming} serverTiming — server timing controller
+ * @param {object} response — node.js response object
+ */
+function sendTrailers (serverTiming, response) {
+  const end = response.end
+  let ending = false
+  let announced = false
+
+  // Whole body is known when headers are sent from end,
+  // so response will not be chunked and we should use headers
+  onHeaders(response, () => {
+    if (
+      ending ||
+      NO_BODY_STATUSES.includes(response.statusCode) ||
+      typeof response.getHeader('content-length') !== 'undefined'
+    ) {
+      serverTiming.addHeaders(response)
+    } else {
+      response.setHeader(TRAILER_NAME, HEADER_NAME)
+      announced = true
+    }
+  })
+
+  response.end = function (...args) {
+    ending = true
+    if (announced) serverTiming.addTrailers(response)
+    return end.apply(this, args)
+  }
+}
+
+/**
+ * Parse time when request was received by upstream proxy,
+ * supported formats are `t=1700000000.123` and plain number
+ * in seconds, milliseconds, microseconds or nanoseconds since epoch
+ * @private
+ * @param {string} [value] — value of X-Request-Start header
+ * @return {number|undefined} — time in milliseconds since epoch or undefined if value is not valid
+ */
+function parseRequestStart (value) {
+  const match = /^\s*(?:t=)?(\d+(?:\.\d+)?)\s*$/.exec(value || '')
+  if (!match) return undefined
+  const time = Number(match[1])
+  // Unit is guessed from the magnitude, any of them is far from each other
+  if (time < 1e11) return time * 1e3
+  if (time < 1e14) return time
+  if (time < 1e17) return time / 1e3
+  return time / 1e6
+}
+
+/**
+ * Add built-in metrics: id of the request, time spent in the queue of upstream proxy,
+ * time until headers are sent and time from headers until response is finished
+ * @private
+ * @param {ServerTiming} serverTiming — server timing controller
+ * @param {object} response — node.js response object
+ * @param {object} request — request information
+ * @param {object} builtins — built-in metrics options
+ */
+function addBuiltins (serverTiming, response, request, builtins) {
+  const {
+    total = false,
+    response: phase = false,
+    queue = false,
+    requestId = false
+  } = builtins
+
+  if (requestId) {
+    const header = typeof requestId === 'string' ? requestId : REQUEST_ID_HEADER
+    // Id joins server metrics with metrics collected in the browser
+    const id = request.header(header) || crypto.randomUUID()
+    serverTiming.add(REQUEST_ID_NAME, id, 0)
+  }
+
+  if (queue) {
+    const header = typeof queue === 'string' ? queue : QUEUE_HEADER
+    const start = parseRequestStart(request.header(header))
+    // Clocks of proxy and application may be not in sync
+    if (typeof start !== 'undefined' && start <= serverTiming.timestamp) {
+      serverTiming.add('queue', 'queue', serverTiming.timestamp - start)
+    }
+  }
+
+  if (!total && !phase) return
+  let headersSent
+  // Listener is added after the one that send headers, so it is called before it
+  onHeaders(response, () => {
+    headersSent = serverTiming.now()
+    if (total) {
+      serverTiming.add(
+        'total',
+        'time to headers',
+        serverTiming.elapsed({ to: headersSent })
+      )
+    }
+  })
+
+  if (!phase) return
+  let finished = false
+  const finish = () => {
+    if (finished || typeof headersSent === 'undefined') return
+    finished = true
+    serverTiming.add(
+      'response',
+      'headers to finish',
+      serverTiming.elapsed({ from: headersSent })
+    )
+  }
+  // Trailers of streamed response are written when it is ended,
+  // so we can not wait for finish event
+  const end = response.end
+  response.end = function (...args) {
+    if (this.headersSent) finish()
+    return end.apply(this, args)
+  }
+  response.once('finish', finish)
+  response.once('close', finish)
+}
+
+/**
+ * Send finalized metrics and request information to reporters when response is finished
+ * @private
+ * @param {ServerTiming} serverTiming — server timing controller
+ * @param {object} response — node.js response object
+ * @param {object} request — request information
+ * @param {object[]} reporters — list of reporters
+ */
+function sendReports (serverTiming, response, request, reporters) {
+  let reported = false
+  const report = () => {
+    if (reported) return
+    reported = true
+    const metrics = [...serverTiming.finalized, ...serverTiming.finalize()]
+    const meta = {
+      method: request.method,
+      url: request.url,
+      route: request.route && request.route(),
+      statusCode: response.statusCode,
+      ip: request.ip,
+      timestamp: serverTiming.timestamp,
+      duration: serverTiming.calculateDurationSmart({})
+    }
+    reporters.forEach(reporter => {
+      // Broken reporter should not break the response or other reporters
+      try {
+        Promise.resolve(reporter.report(metrics, meta, serverTiming)).catch(
+          process.emitWarning
+        )
+      } catch (error) {
+        process.emitWarning(error)
+      }
+    })
+  }
+  response.once('finish', report)
+  response.once('close', report)
+}
+
+/**
+ * Create function that create server timing controller for the request and
+ * make sure that metrics will be sent with the response.
+ * It is used by express.js middleware and adapters for other frameworks
+ * @private
+ * @param {object} [options] — middleware options
+ * @throw {Error} — throw an error if expose policy or Timing-Allow-Origin are not valid
+ * @return {function} — function that receive node.js response object and request information and return server timing controller
+ */
+function tracker (options = {}) {
+  const {
+    sendHeaders = true,
+    trailers = false,
+    expose,
+    timingAllowOrigin,
+    reporters = [],
+    builtins,
+    ...controllerOptions
+  } = options
+  const isExposed = createPolicy(expose)
+  const allowedOrigins = createTimingAllowOrigin(timingAllowOrigin)
+
+  /**
+   * @param {object} response — node.js response object
+   * @param {object} request — request information
+   * @param {object} request.request — framework request object, it is passed to expose predicate
+   * @param {string} [request.userAgent] — value of User-Agent header
+   * @param {string} [request.te] — value of TE header
+   * @param {string} [request.httpVersion] — HTTP version of the request
+   * @param {string} [request.method] — request method
+   * @param {string} [request.url] — request URL
+   * @param {function} [request.route] — function that return route pattern of the request, if framework know it
+   * @param {string} [request.ip] — IP address of the client
+   * @param {function} request.header — function that return value of request header by name
+   * @return {ServerTiming} — server timing controller
+   */
+  return function track (response, request) {
+    // Metrics are collected even if headers will not be sent
+    const send = sendHeaders && isExposed(request)
+    const serverTiming = new ServerTiming(
+      request.userAgent,
+      send,
+      controllerOptions
+    )
+
+    if (send && trailers && acceptTrailers(request)) {
+      // We should collect metrics until response is finished
+      sendTrailers(serverTiming, response)
+    } else if (send) {
+      // We should send server-timing headers before headers are sent
+      onHeaders(response, () => {
+        serverTiming.addHeaders(response)
+      })
+    }
+
+    // Timings are readable by other origins only when they are sent
+    const origins = send ? allowedOrigins(request) : undefined
+    if (origins) {
+      onHeaders(response, () => {
+        // Header set by application is not overwritten
+        if (typeof response.getHeader(TIMING_ALLOW_ORIGIN) === 'undefined') {
+          response.setHeader(TIMING_ALLOW_ORIGIN, origins)
+        }
+      })
+    }
+
+    if (builtins) {
+      // Added after headers and trailers are set up and before reporters, order of listeners matters
+      addBuiltins(serverTiming, response, request, builtins)
+    }
+
+    if (reporters.length > 0) {
+      // Reporters may prepare for the request while its async context is active
+      reporters.forEach(reporter => {
+        if (typeof reporter.start !== 'function') return
+        // Broken reporter should not break the response
+        try {
+          reporter.start(serverTiming, request)
+        } catch (error) {
+          process.emitWarning(error)
+        }
+      })
+      sendReports(serverTiming, response, request, reporters)
+    }
+
+    return serverTiming
+  }
+}
+
+module.exports = {
+  ServerTiming,
+  requestInfo,
+  tracker
+}
@@ -0,0 +1,61 @@
+const http = require('http')
+
+/**
+ * Start node.js http server on random port
+ * @private
+ * @param {function} handler — node.js request handler or express.js application
+ * @return {Promise<http.Server>} — listening server
+ */
+function listen (handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler)
+    server.listen(0, () => resolve(server))
+  })
+}
+
+/**
+ * Send request and wait until the whole response is read
+ * @private
+ * @param {http.Server|string} target — listening server or URL
+ * @param {object} [options] — request options
+ * @param {string} [options.method='GET'] — request method
+ * @param {string} [options.path='/'] — path of the request to the server, URL already has it
+ * @param {object} [options.headers] — request headers
+ * @param {string} [options.body] — request body
+ * @return {Promise<http.IncomingMessage>} — finished response with body as string
+ */
+function request (target, { method = 'GET', path = '/', headers = {}, body } = {}) {
+  const url =
+    typeof target === 'string'
+      ? new URL(target)
+      : new URL(path, `http://localhost:${target.address().port}`)
+  return new Promise((resolve, reject) => {
+    const outgoing = http.request(url, { method, headers }, response => {
+      const chunks = []
+      response.on('data', chunk => chunks.push(chunk))
+      response.on('end', () => {
+        response.body = Buffer.concat(chunks).toString()
+        resolve(response)
+      })
+    })
+    outgoing.on('error', reject)
+    outgoing.end(body)
+  })
+}
+
+/**
+ * Send GET request and wait until the whole response is read
+ * @private
+ * @param {http.Server|string} target — listening server or URL
+ * @param {object} [options] — path and headers of the request
+ * @return {Promise<http.IncomingMessage>} — finished response with body as string
+ */
+function get (target, options) {
+  return request(target, { ...options, method: 'GET' })
+}
+
+module.exports = {
+  listen,
+  request,
+  get
+}